@@ -31,12 +31,25 @@ import {
     name2,
     user_avatar,
     chat,
+    characters,
+    this_chid,
     eventSource,
+    getThumbnailUrl,
     event_types,
     saveSettingsDebounced,
+    substituteParams,
+    stopGeneration,
 } from '../../../../script.js';
 import { extension_settings } from '../../../extensions.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { download } from '../../../utils.js';
+import { groups, selected_group, group_activation_strategy } from '../../../group-chats.js';
 import { t } from '../../../i18n.js';
+import { DOMPurify } from '../../../../lib.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
 
 const MODULE = 'typing_indicator_plus';
 
@@ -66,22 +79,74 @@ const defaultSettings = {
     customText: '{{char}} is typing...',
     customThinkingText: '{{char}} is thinking...',
     thinkingIcon: '🧠',
+    thinkingDetectDom: true,      // Rendered reasoning block (.mes_reasoning_details)
+    thinkingDetectMarkers: true,  // Start/end markers in the streamed text
+    thinkingStartMarkers: '<think>\n<thinking>',
+    thinkingEndMarkers: '</think>\n</thinking>',
+    thinkingDetectGap: false,     // Treat a long wait for the first token as thinking
+    thinkingGapMs: 4000,
+    showThinkingTimer: true,   // Live "12s" counter while thinking
+    showThoughtSummary: true,  // Briefly show "Thought for 12s" when reasoning ends
+    thoughtSummaryText: 'Thought for {{thinking_time}}',
     showAvatar: true,
 
+    // Status messages: rotating phrases (one per line) and "seconds | text" escalation rules
+    rotateMessages: false,
+    rotationIntervalSec: 4,
+    rotationOrder: 'sequential',
+    typingPhrases: '',
+    thinkingPhrases: '',
+    userPhrases: '',
+    typingEscalations: '',
+    thinkingEscalations: '',
+
+    // Stall detection: seconds without progress before the indicator turns "stalled" (0 = off)
+    stallDetection: true,
+    stallFirstTokenSec: 90,   // Since generation start, before the first token
+    stallTokenGapSec: 20,     // Since the last token, once streaming started
+    stalledText: '{{char}} seems stuck... (connection slow)',
+    stalledColor: '#f0ad4e',
+    showStopButton: true,
+
+    // End states: briefly show how a generation ended before fading out
+    showEndStates: true,
+    stoppedText: '{{char}} stopped.',
+    stoppedDurationMs: 1500,
+    stoppedSound: false,
+    failedText: '{{char}} couldn\'t reply.',
+    failedDurationMs: 3000,
+    failedSound: true,
+
     // User Indicator  
     userTypingEnabled: false,
     userCustomText: '{{user}} is typing...',
     showUserAvatar: true,
     userSoundEnabled: false,
     userSoundTheme: 'ios',
+    // Per key class (see KEY_CLASSES): sound ('auto', 'none', a pack category or a library id),
+    // pitch offset in semitones and volume (0-1, relative to the sound volume)
+    userKeySounds: {
+        letter: { sound: 'auto', pitch: 0, volume: 1 },
+        space: { sound: 'auto', pitch: 0, volume: 1 },
+        enter: { sound: 'auto', pitch: 0, volume: 1 },
+        delete: { sound: 'auto', pitch: 0, volume: 1 },
+        punctuation: { sound: 'auto', pitch: 0, volume: 1 },
+        paste: { sound: 'auto', pitch: 0, volume: 1 },
+        shortcut: { sound: 'auto', pitch: 0, volume: 1 },
+    },
 
     // Sound
     soundEnabled: false,
-    soundVolume: 0.3,
-    customSoundFile: null,      // Base64 data URL for custom sound
-    userCustomSoundFile: null,  // Base64 data URL for user typing custom sound
+    soundVolume: 0.3,           // Character typing sounds
+    userSoundVolume: 0.3,       // User keystroke sounds
+    customSoundId: null,        // Sound library id (IndexedDB) of the custom character sound
+    userCustomSoundId: null,    // Sound library id of the user typing custom sound
     userDeleteSoundEnabled: true,  // Play different sound on backspace
-    customDeleteSoundFile: null,   // Custom deletion sound upload
+    customDeleteSoundId: null,     // Sound library id of the custom deletion sound
+    sendSoundEnabled: false,       // Sound when you send a message (user theme and volume)
+    receiveSoundEnabled: false,    // Sound when a character message appears (character theme and volume)
+    sendSoundId: null,             // Sound library id of the custom send sound
+    receiveSoundId: null,          // Sound library id of the custom receive sound
 
     // Animation
     simulatePauses: false,
@@ -94,7 +159,13 @@ const defaultSettings = {
     soundTheme: 'ios',
     showThinking: true,  // Experimental thinking detection
     groupChatSupport: false,
+    groupShowQueue: true,      // Stacked avatars + "next up" hint for queued group members
     dynamicRhythm: false,      // More varied sound timing
+    soundSyncMode: 'timer',    // 'timer' = random rhythm, 'tokens' = one click per streamed word / N chars
+    tokenSoundChars: 0,        // Characters per click in token mode (0 = one click per word)
+    tokenSoundMinIntervalMs: 70, // Rate limit between token-driven clicks
+    syncAnimationSpeed: false, // Scale dot animation speed with measured tokens per second
+    showGenerationStats: false, // Elapsed time, time to first token, tokens/chars and tokens per second
     soundOnStreamStart: false, // Wait for streaming to start before playing sounds
     fallbackToSynthesized: true,  // Fall back to synthesized sounds if no audio files
 
@@ -113,10 +184,659 @@ const defaultSettings = {
     charNameColor2: '#a855f7',
     userNameColor: '#5cb85c',
     userNameColor2: '#22c55e',
+
+    // While the window is in the background
+    tabTitleActivity: true,     // Show the typing text in the tab title
+    tabTitleText: '{{char}} is typing…',
+    animateFavicon: false,      // Animated typing dots as the tab icon
+    desktopNotifications: false, // Notify when a reply arrives
+
+    // Audio policy: when sounds are silenced or lowered, on top of the volumes
+    masterMute: false,
+    muteWhenHidden: true,       // Silence sounds while the tab is in the background
+    quietHoursEnabled: false,
+    quietHoursStart: '22:00',   // Local time (HH:MM); the range may wrap past midnight
+    quietHoursEnd: '07:00',
+    ttsDucking: 'duck',         // While TTS speaks: 'off', 'duck' (lower) or 'mute'
+    ttsDuckVolume: 0.3,         // Volume factor while ducking
+
+    // Per-character / per-group overrides, keyed by profile key (see getProfileKey)
+    characterProfiles: {},
+
+    // User-defined visual styles: { id, name, template, css }, selected like built-in styles by id
+    customStyles: [],
+
+    // User-designed synthesized sound themes: { id, name, layers }, selected like sound packs by id
+    synthThemes: [],
+};
+
+/**
+ * Settings keys that a character or group profile may override.
+ * Everything else (timeouts, user indicator, custom sound files) stays global.
+ */
+const PROFILE_KEYS = [
+    'style',
+    'animationTheme',
+    'customText',
+    'customThinkingText',
+    'thinkingIcon',
+    'showAvatar',
+    'glowEnabled',
+    'glowGradient',
+    'glowColor',
+    'glowColor2',
+    'nameGradient',
+    'charNameColor',
+    'charNameColor2',
+    'soundEnabled',
+    'soundTheme',
+    'soundVolume',
+];
+
+// Select options shared by the global settings and the per-character profile editor
+const STYLE_OPTIONS = [
+    { value: 'classic', label: 'Classic' },
+    { value: 'speech_bubble', label: 'Speech Bubble' },
+    { value: 'bouncing_dots', label: 'Bouncing Dots' },
+    { value: 'pulsing_avatar', label: 'Pulsing Avatar' },
+    { value: 'wave_dots', label: 'Wave Dots' },
+    { value: 'minimal', label: 'Minimal' },
+    { value: 'discord', label: 'Discord Style' },
+];
+
+/**
+ * Built-in styles followed by the user's custom template styles
+ * @param {object[]} [customStyles] Custom styles to list (default: the installed ones)
+ * @returns {{value: string, label: string}[]} Style options
+ */
+function getStyleOptions(customStyles = extension_settings[MODULE]?.customStyles) {
+    const custom = Array.isArray(customStyles)
+        ? customStyles.map(style => ({ value: style.id, label: `✎ ${style.name}` }))
+        : [];
+    return [...STYLE_OPTIONS, ...custom];
+}
+
+const POSITION_OPTIONS = [
+    { value: 'bottom', label: 'Bottom (Sticky)' },
+    { value: 'inline', label: 'Inline (After Messages)' },
+    { value: 'floating', label: 'Floating (Overlay)' },
+];
+
+const ANIMATION_THEME_OPTIONS = [
+    { value: 'smooth', label: 'Smooth' },
+    { value: 'playful', label: 'Playful (Bouncy)' },
+    { value: 'minimal', label: 'Minimal' },
+    { value: 'wave', label: 'Wave' },
+];
+
+const SYNTH_WAVEFORM_OPTIONS = [
+    { value: 'sine', label: 'Sine' },
+    { value: 'triangle', label: 'Triangle' },
+    { value: 'square', label: 'Square' },
+    { value: 'sawtooth', label: 'Sawtooth' },
+    { value: 'noise', label: 'Noise' },
+];
+
+/**
+ * Built-in synthesized themes. Each layer is one oscillator (or low-passed noise) with a frequency sweep
+ * and an attack/decay envelope; frequencies in Hz, times in ms, jitter = random pitch offset in Hz.
+ * osu and ios are the fallbacks of the bundled packs of the same name.
+ */
+const SYNTH_PRESETS = {
+    mechanical: {
+        name: 'Mechanical',
+        layers: [
+            { type: 'triangle', startFreq: 100, endFreq: 40, attack: 0, decay: 100, gain: 0.8, jitter: 20 },
+            { type: 'square', startFreq: 2500, endFreq: 2500, attack: 0, decay: 20, gain: 0.15, jitter: 500 },
+        ],
+    },
+    retro: {
+        name: 'Retro Terminal',
+        layers: [
+            { type: 'square', startFreq: 800, endFreq: 400, attack: 0, decay: 60, gain: 0.4, jitter: 100 },
+        ],
+    },
+    soft: {
+        name: 'Soft Taps',
+        layers: [
+            { type: 'sine', startFreq: 400, endFreq: 400, attack: 0, decay: 40, gain: 0.5, jitter: 50 },
+        ],
+    },
+    osu: {
+        name: 'Osu! (Synthesized)',
+        layers: [
+            { type: 'sine', startFreq: 1000, endFreq: 600, attack: 0, decay: 30, gain: 1.2, jitter: 50 },
+            { type: 'sine', startFreq: 2200, endFreq: 2200, attack: 0, decay: 15, gain: 0.4, jitter: 100 },
+        ],
+    },
+    ios: {
+        name: 'iOS (Synthesized)',
+        layers: [
+            { type: 'sine', startFreq: 1300, endFreq: 400, attack: 0, decay: 35, gain: 1, jitter: 100 },
+            { type: 'noise', startFreq: 12000, endFreq: 12000, attack: 0, decay: 10, gain: 0.1, jitter: 0 },
+        ],
+    },
+};
+
+// Allowed range of every numeric layer field, for the validator and the synth editor
+const SYNTH_LAYER_RANGES = {
+    startFreq: { min: 20, max: 20000 },
+    endFreq: { min: 20, max: 20000 },
+    attack: { min: 0, max: 500 },
+    decay: { min: 1, max: 2000 },
+    gain: { min: 0, max: 2 },
+    jitter: { min: 0, max: 5000 },
+};
+const MAX_SYNTH_LAYERS = 6;
+
+// Synthesized message sounds, for themes without their own send/receive sounds
+const SYNTH_MESSAGE_SOUNDS = {
+    // Rising "whoosh"
+    send: [
+        { type: 'sine', startFreq: 500, endFreq: 1300, attack: 5, decay: 110, gain: 1, jitter: 0 },
+        { type: 'noise', startFreq: 3000, endFreq: 8000, attack: 20, decay: 80, gain: 0.08, jitter: 0 },
+    ],
+    // Soft two-tone "ding"
+    receive: [
+        { type: 'sine', startFreq: 880, endFreq: 880, attack: 3, decay: 220, gain: 0.8, jitter: 0 },
+        { type: 'sine', startFreq: 1320, endFreq: 1320, attack: 60, decay: 260, gain: 0.6, jitter: 0 },
+    ],
+};
+
+/**
+ * Look up a synthesized theme: the user's own first, then the built-in presets
+ * @param {string} id Theme id
+ * @returns {{name: string, layers: object[]}|undefined} Synth theme
+ */
+function getSynthTheme(id) {
+    return extension_settings[MODULE]?.synthThemes?.find(theme => theme.id === id) ?? SYNTH_PRESETS[id];
+}
+
+/**
+ * Sound theme options: the discovered sound packs, the built-in synthesized themes they don't cover,
+ * then the user's synthesized themes
+ * @returns {{value: string, label: string}[]} Sound theme options
+ */
+function getSoundThemeOptions() {
+    const packs = Object.entries(audioCache.packs).map(([id, pack]) => ({ value: id, label: pack.name }));
+    const presets = Object.entries(SYNTH_PRESETS)
+        .filter(([id]) => !audioCache.packs[id])
+        .map(([id, preset]) => ({ value: id, label: preset.name }));
+    const synthThemes = extension_settings[MODULE]?.synthThemes;
+    const custom = Array.isArray(synthThemes)
+        ? synthThemes.map(theme => ({ value: theme.id, label: `✎ ${theme.name}` }))
+        : [];
+    return [...packs, ...presets, ...custom];
+}
+
+const TTS_DUCKING_OPTIONS = [
+    { value: 'off', label: 'Keep Playing' },
+    { value: 'duck', label: 'Lower Volume' },
+    { value: 'mute', label: 'Silence' },
+];
+
+const ROTATION_ORDER_OPTIONS = [
+    { value: 'sequential', label: 'In Order' },
+    { value: 'random', label: 'Random' },
+];
+
+const SOUND_SYNC_OPTIONS = [
+    { value: 'timer', label: 'Timer (Random Rhythm)' },
+    { value: 'tokens', label: 'Synced to Stream' },
+];
+
+// Classes of user keystrokes that can each have their own sound
+const KEY_CLASSES = [
+    { value: 'letter', label: 'Letters & Digits' },
+    { value: 'space', label: 'Space' },
+    { value: 'enter', label: 'Enter' },
+    { value: 'delete', label: 'Backspace / Delete' },
+    { value: 'punctuation', label: 'Punctuation' },
+    { value: 'paste', label: 'Paste (Ctrl+V)' },
+    { value: 'shortcut', label: 'Other Ctrl/Alt/Cmd Combos' },
+];
+
+// Pack category played by a key class set to 'auto'; other classes use the pack's normal sounds
+const KEY_CLASS_CATEGORIES = {
+    space: 'space',
+    enter: 'enter',
+    delete: 'delete',
+};
+
+// Sounds a key class can use besides the library sounds
+const KEY_SOUND_OPTIONS = [
+    { value: 'auto', label: 'Theme Default' },
+    { value: 'normal', label: 'Theme: Key Click' },
+    { value: 'space', label: 'Theme: Space' },
+    { value: 'enter', label: 'Theme: Enter' },
+    { value: 'delete', label: 'Theme: Delete' },
+    { value: 'none', label: 'Silent' },
+];
+
+/**
+ * Current settings schema version, stored as `schemaVersion`.
+ * Bumped whenever a migration step is added, independently of the version in manifest.json.
+ */
+const SETTINGS_SCHEMA_VERSION = 5;
+
+/**
+ * Type and range of every setting. `validateSetting()` uses this to correct
+ * stale or out-of-range values; keys missing here are checked against the
+ * type of their default value.
+ */
+const SETTINGS_SCHEMA = {
+    enabled: { type: 'boolean' },
+    style: { type: 'enum', options: context => getStyleOptions(context.customStyles) },
+    position: { type: 'enum', options: POSITION_OPTIONS },
+    animationTheme: { type: 'enum', options: ANIMATION_THEME_OPTIONS },
+    mobileMode: { type: 'boolean' },
+
+    customText: { type: 'string' },
+    customThinkingText: { type: 'string' },
+    thinkingIcon: { type: 'string' },
+    thinkingDetectDom: { type: 'boolean' },
+    thinkingDetectMarkers: { type: 'boolean' },
+    thinkingStartMarkers: { type: 'string' },
+    thinkingEndMarkers: { type: 'string' },
+    thinkingDetectGap: { type: 'boolean' },
+    thinkingGapMs: { type: 'number', min: 500, max: 60000, integer: true },
+    showThinkingTimer: { type: 'boolean' },
+    showThoughtSummary: { type: 'boolean' },
+    thoughtSummaryText: { type: 'string' },
+    showAvatar: { type: 'boolean' },
+
+    rotateMessages: { type: 'boolean' },
+    rotationIntervalSec: { type: 'number', min: 1, max: 600 },
+    rotationOrder: { type: 'enum', options: ROTATION_ORDER_OPTIONS },
+    typingPhrases: { type: 'string' },
+    thinkingPhrases: { type: 'string' },
+    userPhrases: { type: 'string' },
+    typingEscalations: { type: 'string' },
+    thinkingEscalations: { type: 'string' },
+
+    stallDetection: { type: 'boolean' },
+    stallFirstTokenSec: { type: 'number', min: 0, max: 3600 },
+    stallTokenGapSec: { type: 'number', min: 0, max: 3600 },
+    stalledText: { type: 'string' },
+    stalledColor: { type: 'color' },
+    showStopButton: { type: 'boolean' },
+
+    showEndStates: { type: 'boolean' },
+    stoppedText: { type: 'string' },
+    stoppedDurationMs: { type: 'number', min: 0, max: 30000, integer: true },
+    stoppedSound: { type: 'boolean' },
+    failedText: { type: 'string' },
+    failedDurationMs: { type: 'number', min: 0, max: 30000, integer: true },
+    failedSound: { type: 'boolean' },
+
+    userTypingEnabled: { type: 'boolean' },
+    userCustomText: { type: 'string' },
+    showUserAvatar: { type: 'boolean' },
+    userSoundEnabled: { type: 'boolean' },
+    userSoundTheme: { type: 'soundPack' },
+    userKeySounds: { type: 'keySounds' },
+
+    soundEnabled: { type: 'boolean' },
+    soundVolume: { type: 'number', min: 0, max: 1 },
+    userSoundVolume: { type: 'number', min: 0, max: 1 },
+    customSoundId: { type: 'soundId' },
+    userCustomSoundId: { type: 'soundId' },
+    userDeleteSoundEnabled: { type: 'boolean' },
+    customDeleteSoundId: { type: 'soundId' },
+    sendSoundEnabled: { type: 'boolean' },
+    receiveSoundEnabled: { type: 'boolean' },
+    sendSoundId: { type: 'soundId' },
+    receiveSoundId: { type: 'soundId' },
+
+    simulatePauses: { type: 'boolean' },
+    pauseChance: { type: 'number', min: 0, max: 1 },
+    userTypingTimeoutMs: { type: 'number', min: 100, max: 10000, integer: true },
+
+    soundTheme: { type: 'soundPack' },
+    showThinking: { type: 'boolean' },
+    groupChatSupport: { type: 'boolean' },
+    groupShowQueue: { type: 'boolean' },
+    dynamicRhythm: { type: 'boolean' },
+    soundSyncMode: { type: 'enum', options: SOUND_SYNC_OPTIONS },
+    tokenSoundChars: { type: 'number', min: 0, max: 100, integer: true },
+    tokenSoundMinIntervalMs: { type: 'number', min: 20, max: 1000, integer: true },
+    syncAnimationSpeed: { type: 'boolean' },
+    showGenerationStats: { type: 'boolean' },
+    soundOnStreamStart: { type: 'boolean' },
+    fallbackToSynthesized: { type: 'boolean' },
+
+    glowEnabled: { type: 'boolean' },
+    glowGradient: { type: 'boolean' },
+    glowColor: { type: 'color' },
+    glowColor2: { type: 'color' },
+    userGlowColor: { type: 'color' },
+    userGlowColor2: { type: 'color' },
+    userRightAlign: { type: 'boolean' },
+
+    nameGradient: { type: 'boolean' },
+    charNameColor: { type: 'color' },
+    charNameColor2: { type: 'color' },
+    userNameColor: { type: 'color' },
+    userNameColor2: { type: 'color' },
+
+    tabTitleActivity: { type: 'boolean' },
+    tabTitleText: { type: 'string' },
+    animateFavicon: { type: 'boolean' },
+    desktopNotifications: { type: 'boolean' },
+
+    masterMute: { type: 'boolean' },
+    muteWhenHidden: { type: 'boolean' },
+    quietHoursEnabled: { type: 'boolean' },
+    quietHoursStart: { type: 'time' },
+    quietHoursEnd: { type: 'time' },
+    ttsDucking: { type: 'enum', options: TTS_DUCKING_OPTIONS },
+    ttsDuckVolume: { type: 'number', min: 0, max: 1 },
+
+    characterProfiles: { type: 'profiles' },
+    customStyles: { type: 'customStyles' },
+    synthThemes: { type: 'synthThemes' },
 };
 
-// Audio context for generating click sounds
+/**
+ * Validate a setting against the schema.
+ * @param {string} key Settings key
+ * @param {any} value Value to check
+ * @param {{customStyles?: object[]}} [context] Settings other values are checked against, when not the installed ones
+ * @returns {{value: any, problem: string|null}} Corrected value, and what was wrong (null if valid)
+ */
+function validateSetting(key, value, context = {}) {
+    const defaultValue = structuredClone(defaultSettings[key]);
+    const rule = SETTINGS_SCHEMA[key] ?? {
+        type: defaultValue === null ? 'dataUrl' : typeof defaultValue,
+    };
+
+    switch (rule.type) {
+        case 'boolean':
+            return typeof value === 'boolean'
+                ? { value, problem: null }
+                : { value: defaultValue, problem: 'expected true or false' };
+
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { value: defaultValue, problem: 'expected a number' };
+            }
+            let corrected = rule.integer ? Math.round(value) : value;
+            corrected = Math.min(rule.max ?? Infinity, Math.max(rule.min ?? -Infinity, corrected));
+            return corrected === value
+                ? { value, problem: null }
+                : { value: corrected, problem: `out of range (${rule.min ?? '-∞'}–${rule.max ?? '∞'})` };
+        }
+
+        case 'string':
+            return typeof value === 'string'
+                ? { value, problem: null }
+                : { value: defaultValue, problem: 'expected text' };
+
+        case 'enum':
+            return (typeof rule.options === 'function' ? rule.options(context) : rule.options).some(o => o.value === value)
+                ? { value, problem: null }
+                : { value: defaultValue, problem: `unknown option "${value}"` };
+
+        case 'color':
+            if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+                return { value, problem: null };
+            }
+            // Expand shorthand #rgb, which <input type="color"> does not accept
+            if (typeof value === 'string' && /^#[0-9a-f]{3}$/i.test(value)) {
+                return { value: '#' + [...value.slice(1)].map(c => c + c).join(''), problem: 'short hex color' };
+            }
+            return { value: defaultValue, problem: 'expected a #rrggbb color' };
+
+        case 'time':
+            return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+                ? { value, problem: null }
+                : { value: defaultValue, problem: 'expected a HH:MM time' };
+
+        case 'soundPack':
+            // Packs are discovered after settings load; an unknown pack falls back to synthesized sounds when played
+            return typeof value === 'string' && SOUND_PACK_ID_PATTERN.test(value)
+                ? { value, problem: null }
+                : { value: defaultValue, problem: 'expected a sound pack folder name' };
+
+        case 'soundId':
+            return value === null || (typeof value === 'string' && SOUND_ID_PATTERN.test(value))
+                ? { value, problem: null }
+                : { value: null, problem: 'expected a sound library id or null' };
+
+        case 'dataUrl':
+            return value === null || (typeof value === 'string' && value.startsWith('data:'))
+                ? { value, problem: null }
+                : { value: null, problem: 'expected a data URL or null' };
+
+        case 'customStyles': {
+            if (!Array.isArray(value)) {
+                return { value: defaultValue, problem: 'expected a list' };
+            }
+            const styles = value.filter(style => style &&
+                typeof style.id === 'string' && /^custom_[a-z0-9]+$/.test(style.id) &&
+                typeof style.name === 'string' &&
+                typeof style.template === 'string' &&
+                typeof style.css === 'string');
+            return styles.length === value.length
+                ? { value, problem: null }
+                : { value: styles, problem: `${value.length - styles.length} malformed custom style(s) dropped` };
+        }
+
+        case 'keySounds': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return { value: defaultValue, problem: 'expected an object' };
+            }
+            // Every key class gets an entry; unknown classes are dropped, invalid entries reset
+            const problems = [];
+            const corrected = {};
+            for (const { value: keyClass } of KEY_CLASSES) {
+                const entry = value[keyClass];
+                const isValid = entry && typeof entry === 'object' &&
+                    typeof entry.sound === 'string' &&
+                    (KEY_SOUND_OPTIONS.some(o => o.value === entry.sound) || SOUND_ID_PATTERN.test(entry.sound)) &&
+                    typeof entry.pitch === 'number' && entry.pitch >= -12 && entry.pitch <= 12 &&
+                    typeof entry.volume === 'number' && entry.volume >= 0 && entry.volume <= 1;
+                if (isValid) {
+                    corrected[keyClass] = entry;
+                } else {
+                    corrected[keyClass] = defaultValue[keyClass];
+                    if (entry !== undefined) problems.push(`${keyClass}: invalid (reset)`);
+                }
+            }
+            const unknown = Object.keys(value).filter(key => !(key in corrected));
+            if (unknown.length > 0) problems.push(`unknown key classes dropped: ${unknown.join(', ')}`);
+            return problems.length === 0 && Object.keys(value).length === KEY_CLASSES.length
+                ? { value, problem: null }
+                : { value: corrected, problem: problems.join('; ') || 'missing key classes added' };
+        }
+
+        case 'synthThemes': {
+            if (!Array.isArray(value)) {
+                return { value: defaultValue, problem: 'expected a list' };
+            }
+            // Malformed layers are dropped and values clamped, so a theme can't make huge noise buffers on every key
+            const problems = [];
+            const themes = [];
+            for (const theme of value) {
+                if (!theme || typeof theme.id !== 'string' || !/^synth_[a-z0-9]+$/.test(theme.id) ||
+                    typeof theme.name !== 'string' || !Array.isArray(theme.layers)) {
+                    problems.push('malformed synth theme dropped');
+                    continue;
+                }
+                const layers = theme.layers.filter(layer => layer &&
+                    SYNTH_WAVEFORM_OPTIONS.some(o => o.value === layer.type) &&
+                    Object.keys(SYNTH_LAYER_RANGES).every(field => typeof layer[field] === 'number' && Number.isFinite(layer[field])));
+                if (layers.length < theme.layers.length) {
+                    problems.push(`${theme.id}: ${theme.layers.length - layers.length} malformed layer(s) dropped`);
+                }
+                if (layers.length > MAX_SYNTH_LAYERS) {
+                    problems.push(`${theme.id}: more than ${MAX_SYNTH_LAYERS} layers`);
+                    layers.length = MAX_SYNTH_LAYERS;
+                }
+                if (layers.length === 0) {
+                    problems.push(`${theme.id}: no valid layers, dropped`);
+                    continue;
+                }
+                const clamped = layers.map(layer => {
+                    const corrected = { ...layer };
+                    for (const [field, { min, max }] of Object.entries(SYNTH_LAYER_RANGES)) {
+                        corrected[field] = Math.min(max, Math.max(min, layer[field]));
+                        if (corrected[field] !== layer[field]) {
+                            problems.push(`${theme.id}.${field}: out of range (${min}–${max})`);
+                        }
+                    }
+                    return corrected;
+                });
+                themes.push({ ...theme, layers: clamped });
+            }
+            return problems.length
+                ? { value: themes, problem: problems.join('; ') }
+                : { value, problem: null };
+        }
+
+        case 'profiles': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return { value: defaultValue, problem: 'expected an object' };
+            }
+            // Each profile may only contain valid values for overridable keys
+            const problems = [];
+            const corrected = {};
+            for (const [profileKey, overrides] of Object.entries(value)) {
+                if (!overrides || typeof overrides !== 'object') {
+                    problems.push(`${profileKey}: not an object`);
+                    continue;
+                }
+                const profile = {};
+                for (const [overrideKey, overrideValue] of Object.entries(overrides)) {
+                    if (!PROFILE_KEYS.includes(overrideKey)) {
+                        problems.push(`${profileKey}.${overrideKey}: not overridable`);
+                        continue;
+                    }
+                    // An invalid override is dropped so the global value applies again
+                    const result = validateSetting(overrideKey, overrideValue, context);
+                    if (result.problem) {
+                        problems.push(`${profileKey}.${overrideKey}: ${result.problem} (dropped)`);
+                        continue;
+                    }
+                    profile[overrideKey] = result.value;
+                }
+                if (Object.keys(profile).length > 0) corrected[profileKey] = profile;
+            }
+            return { value: corrected, problem: problems.length ? problems.join('; ') : null };
+        }
+
+        default:
+            return { value, problem: null };
+    }
+}
+
+/**
+ * Ordered migration steps. Each step upgrades settings stored by the previous
+ * schema version to `version`, before defaults are filled in and values are validated.
+ */
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 3,
+        description: 'user typing sounds got their own theme - keep the character theme for them',
+        migrate(settings) {
+            if (settings.userSoundTheme === undefined && settings.soundTheme !== undefined) {
+                settings.userSoundTheme = settings.soundTheme;
+            }
+        },
+    },
+    {
+        version: 4,
+        description: 'drop keys no longer used by the extension',
+        migrate(settings) {
+            for (const key of Object.keys(settings)) {
+                // Legacy sound data URLs stay until importLegacySounds() moves them into the sound library
+                if (key !== 'schemaVersion' && !(key in defaultSettings) && !LEGACY_SOUND_KEYS.includes(key)) {
+                    delete settings[key];
+                }
+            }
+        },
+    },
+    {
+        version: 5,
+        description: 'user typing sounds got their own volume - keep the shared volume for them',
+        migrate(settings) {
+            if (settings.userSoundVolume === undefined && settings.soundVolume !== undefined) {
+                settings.userSoundVolume = settings.soundVolume;
+            }
+        },
+    },
+];
+
+/**
+ * Guess the schema version of settings saved before versioning existed.
+ * v3 introduced the sound theme and thinking keys; anything older is v2.
+ * @param {object} settings Stored settings
+ * @returns {number} Schema version
+ */
+function detectSettingsVersion(settings) {
+    if (Number.isInteger(settings.schemaVersion)) return settings.schemaVersion;
+    return 'soundTheme' in settings || 'showThinking' in settings ? 3 : 2;
+}
+
+/**
+ * Run pending migrations, fill in defaults and correct invalid values.
+ * Called once on load; logs a summary of everything it changed.
+ */
+function migrateSettings() {
+    const stored = extension_settings[MODULE];
+    if (stored === undefined) {
+        getSettings().schemaVersion = SETTINGS_SCHEMA_VERSION;
+        return;
+    }
+
+    const fromVersion = detectSettingsVersion(stored);
+    const applied = [];
+
+    for (const step of SETTINGS_MIGRATIONS) {
+        if (step.version > fromVersion && step.version <= SETTINGS_SCHEMA_VERSION) {
+            step.migrate(stored);
+            applied.push(`v${step.version}: ${step.description}`);
+        }
+    }
+
+    const settings = getSettings();
+    const corrections = [];
+
+    for (const key of Object.keys(defaultSettings)) {
+        const { value, problem } = validateSetting(key, settings[key]);
+        if (problem) {
+            corrections.push({ key, problem, from: settings[key], to: value });
+            settings[key] = value;
+        }
+    }
+
+    settings.schemaVersion = SETTINGS_SCHEMA_VERSION;
+
+    if (applied.length > 0) {
+        console.log(`[TIP+] Settings migrated from v${fromVersion} to v${SETTINGS_SCHEMA_VERSION}:\n- ${applied.join('\n- ')}`);
+    }
+    if (corrections.length > 0) {
+        console.warn(`[TIP+] Corrected ${corrections.length} invalid setting(s):`);
+        console.table(corrections);
+    }
+    if (applied.length > 0 || corrections.length > 0) {
+        saveSettingsDebounced();
+    }
+}
+
+// Audio context for all sounds (decoded buffers and synthesized clicks)
 let audioCtx = null;
+let decodeCtx = null;             // Offline context that decodes sounds before anything has played
+
+// Playback engine
+const MAX_VOICES = 8;             // Concurrent sounds before the oldest is cut
+const PITCH_VARIATION = 0.04;     // ±4% playback rate per click
+const GAIN_VARIATION = 0.15;      // Up to 15% quieter per click
+let audioChannels = null;         // Master gain + character/user channel gains
+let activeVoices = [];            // Playing sources (buffers, synth layers, end state tones), oldest first
+let audioUnlockPending = false;   // Waiting for a user gesture to resume the context
+let audioUnlockToast = null;
+let isExternallyDucked = false;   // Another extension asked for ducking through the public API
 
 /**
  * Initialize audio context (must be called after user interaction)
@@ -135,197 +855,804 @@ function initAudioContext() {
 let pauseTimeout = null;
 let soundInterval = null;
 let isIndicatorVisible = false;
+const THOUGHT_SUMMARY_MS = 1800;  // How long "Thought for Ns" stays before returning to typing
 let isCharThinking = false;
-let typingCharacters = new Set(); // For Group Chat support
+let thinkingStartedAt = 0;        // When the current reasoning started
+let lastThinkingMs = 0;           // Duration of the last finished reasoning
+let thinkingTimerInterval = null; // Ticks the live thinking counter
+let thoughtSummaryTimeout = null; // Ends the "Thought for Ns" transition
+let isShowingThoughtSummary = false;
 let thinkingObserver = null;      // MutationObserver for thinking icon
+let thinkingGapTimeout = null;    // First-token gap detector timer
+let thinkingMarkers = null;       // Compiled start/end markers for the stream marker detector
+let thinkingDetectorStates = new Set(); // Detectors currently reporting thinking
+let activeThinkingDetector = null;      // Detector that most recently reported thinking
+let lastThinkingDetector = null;        // Detector behind the last thinking phase (shown in settings)
+let refreshDetectorStatus = null;       // Updates the detector status line in the settings drawer
 let soundsPendingStream = false;  // Flag for streaming-aware sounds
+let hideTimeout = null;           // Pending removal of a hiding indicator
+let textOverride = null;          // Manually set indicator text (slash commands), null = use settings
+let isIndicatorPaused = false;    // Dots dimmed by a simulated or manual pause
+let refreshProfileSection = null; // Re-renders the "This Character" settings section
+let refreshSettingsPreview = null; // Re-renders the settings preview pane
+let syncSettingControl = null;    // Shows a setting changed outside the drawer (e.g. by /typing) in its control
+let simulationTimeouts = [];      // Pending steps of the settings "Simulate" lifecycle
+let simulationOnDone = null;      // Called when the simulation ends
+
+// Group chat state
+let groupActiveAvatar = null;     // Avatar file of the currently drafted group member
+let groupQueue = [];              // Avatar files of members expected to reply after the active one
+let groupWrapperRunning = false;  // Between GROUP_WRAPPER_STARTED and GROUP_WRAPPER_FINISHED
+let groupMemberReplies = new Map(); // Avatar files of the members drafted this round -> whether they replied
+
+/**
+ * Lifecycle events other extensions can subscribe to through the public API
+ */
+const INDICATOR_EVENTS = ['shown', 'thinking', 'typing', 'paused', 'stalled', 'stopped', 'failed', 'hidden'];
+const indicatorListeners = new Map(INDICATOR_EVENTS.map(name => [name, new Set()]));
+
+/**
+ * Notify lifecycle event subscribers. A throwing listener never breaks the indicator.
+ * @param {string} name Event name (one of INDICATOR_EVENTS)
+ * @param {object} [detail] Extra event data
+ */
+function emitIndicatorEvent(name, detail = {}) {
+    const listeners = indicatorListeners.get(name);
+    if (!listeners) return;
+
+    for (const listener of listeners) {
+        try {
+            listener({ event: name, ...detail });
+        } catch (e) {
+            console.error(`[TIP+] "${name}" listener failed`, e);
+        }
+    }
+}
+
+// Streaming activity of the current generation
+const TOKEN_RATE_WINDOW_MS = 2000;     // Window for the tokens-per-second measurement
+const TOKEN_RATE_REFERENCE = 12;       // Tokens per second that play the animation at normal speed
+const MAX_PENDING_TOKEN_CLICKS = 3;    // Clicks allowed to queue up behind the rate limit
+
+let streamStats = createStreamStats();
+let pendingTokenClicks = 0;       // Clicks waiting for the rate limit
+let tokenCharBudget = 0;          // Characters streamed since the last click (chars mode)
+let lastTokenClickAt = 0;
+let tokenSoundTimeout = null;
+let animationSpeedInterval = null;
+let statsInterval = null;         // Ticks the elapsed time in the stats line
+let textInterval = null;          // Refreshes the live placeholders in the indicator text
+let currentGenerationType = '';   // {{gen_type}}
+let phraseRotation = {};          // Current rotating phrase per state: { step, index, count }
+let userIndicatorShownAt = 0;     // Start of the user indicator's rotation
+let isIndicatorStalled = false;   // No stream progress for longer than the stall thresholds
+let stallCheckInterval = null;
+let endState = null;              // 'stopped' | 'failed' while the end state is shown
+let endStateTimeout = null;
+let isGenerationRunning = false;  // From GENERATION_AFTER_COMMANDS until the generation ends or stops
+let generationReplied = false;    // A message was received during the current generation
+let replyMessageId = null;        // Chat index of the message received during the current generation
+let receiveSoundMessageId = null; // Received message whose rendering plays the receive sound
+
+// Tab activity while the window is in the background
+const FAVICON_FRAME_MS = 400;
+let savedDocumentTitle = null;    // Title to restore, while ours is shown
+let activityTitle = null;         // Title we set, to tell it apart from one SillyTavern set meanwhile
+let faviconInterval = null;
+let savedFavicon = null;          // { link, href, created } of the page icon we replaced
+
+// How a generation can end, besides successfully
+const END_STATES = {
+    stopped: { icon: '⏹️', color: '#9ca3af', textKey: 'stoppedText', durationKey: 'stoppedDurationMs', soundKey: 'stoppedSound' },
+    failed: { icon: '⚠️', color: '#ef4444', textKey: 'failedText', durationKey: 'failedDurationMs', soundKey: 'failedSound' },
+};
+
+/**
+ * Create empty stream statistics
+ * @returns {object} Stream statistics
+ */
+function createStreamStats() {
+    return {
+        startedAt: Date.now(), // Generation start (indicator shown)
+        firstTokenAt: 0,
+        lastTokenAt: 0,
+        tokens: 0,             // STREAM_TOKEN_RECEIVED events, each usually one token
+        chars: 0,              // Length of the streamed text
+        lastChar: ' ',         // Last streamed character, for counting words across chunks
+        recentTokens: [],      // Timestamps of tokens inside TOKEN_RATE_WINDOW_MS
+    };
+}
+
+/**
+ * Record a STREAM_TOKEN_RECEIVED event
+ * @param {string} text Full message text streamed so far
+ * @returns {string} Text added since the previous event
+ */
+function recordStreamToken(text) {
+    const now = Date.now();
+    const fullText = typeof text === 'string' ? text : '';
+
+    // The streamed text can shrink (e.g. trimmed by the stream processor) - treat it as a restart
+    const delta = fullText.length >= streamStats.chars ? fullText.slice(streamStats.chars) : fullText;
+
+    if (!streamStats.firstTokenAt) streamStats.firstTokenAt = now;
+    streamStats.lastTokenAt = now;
+    streamStats.tokens++;
+    streamStats.chars = fullText.length;
+    streamStats.recentTokens.push(now);
+    while (streamStats.recentTokens[0] < now - TOKEN_RATE_WINDOW_MS) {
+        streamStats.recentTokens.shift();
+    }
+
+    return delta;
+}
+
+/**
+ * Get the current streaming rate
+ * @returns {number} Tokens per second over the last TOKEN_RATE_WINDOW_MS
+ */
+function getTokensPerSecond() {
+    if (!streamStats.firstTokenAt) return 0;
+
+    const now = Date.now();
+    const recent = streamStats.recentTokens.filter(time => time >= now - TOKEN_RATE_WINDOW_MS);
+    // Early in the stream, measure over the time since the first token instead of the full window
+    const windowMs = Math.min(TOKEN_RATE_WINDOW_MS, Math.max(250, now - streamStats.firstTokenAt));
+    return recent.length / (windowMs / 1000);
+}
+
+// Sound packs: folders under sounds/, listed in sounds/packs.json, each with a pack.json manifest
+const SOUND_PACK_ID_PATTERN = /^[a-z0-9_-]+$/i;
+const SOUND_PACK_CATEGORIES = ['normal', 'delete', 'enter', 'space', 'complete', 'send', 'receive'];
+const DEFAULT_SOUND_PACKS = ['ios', 'osu']; // Used when sounds/packs.json is missing
 
 // Audio file caching
 let audioCache = {
-    osu: [],    // Array of Audio objects for random variation
-    ios: [],    // Array of Audio objects for random variation
-    // Key-specific sounds (Osu theme)
-    osuDelete: null,  // Backspace/Delete key
-    osuEnter: null,   // Enter key
-    // Key-specific sounds (iOS theme)
-    iosDelete: null,  // Backspace/Delete key
-    // Legacy/custom
-    delete: [],        // Fallback deletion sounds
+    packs: {},         // Loaded sound packs by folder name: { name, volume, normal: AudioBuffer[], delete: AudioBuffer[], ... }
     custom: null,      // Custom uploaded sound
     userCustom: null,  // User typing custom sound
-    deleteCustom: null // Custom deletion sound
+    deleteCustom: null, // Custom deletion sound
+    sendCustom: null,  // Custom message sent sound
+    receiveCustom: null, // Custom message received sound
+    keySounds: {},     // Library sounds used by the user key map, by sound id
 };
 
+let refreshSoundSettings = null; // Repopulates the sound theme selects and the sound library once audio is loaded
+
 /**
- * Load bundled sound file
- * @param {string} filename Sound file name (e.g., 'osu-1.mp3')
- * @returns {Promise<Audio>} Audio element
+ * Decode audio data into a buffer for the playback engine
+ * @param {ArrayBuffer} data Encoded audio (mp3, ogg, wav, ...)
+ * @returns {Promise<AudioBuffer>} Decoded audio
  */
-async function loadBundledSound(filename) {
-    return new Promise((resolve, reject) => {
-        // Create URL relative to this script's location
-        const soundUrl = new URL(`./sounds/${filename}`, import.meta.url).href;
-        const audio = new Audio(soundUrl);
-        audio.addEventListener('canplaythrough', () => resolve(audio), { once: true });
-        audio.addEventListener('error', (e) => {
-            console.warn(`[TIP+] Failed to load bundled sound: ${soundUrl}`, e);
-            reject(e);
-        }, { once: true });
-        audio.load();
-    });
+async function decodeSound(data) {
+    // Creating the playback context here, at page load, would make the browser warn about autoplay
+    if (!audioCtx && !decodeCtx) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) throw new Error('Web Audio API not supported');
+        decodeCtx = new OfflineContext(1, 1, 44100);
+    }
+    return (audioCtx ?? decodeCtx).decodeAudioData(data);
 }
 
 /**
- * Load custom sound from base64 data URL
- * @param {string} dataUrl Base64 data URL
- * @returns {Audio} Audio element
+ * Load bundled sound file
+ * @param {string} filename Sound file path inside sounds/ (e.g., 'osu/osu-1.mp3')
+ * @returns {Promise<AudioBuffer>} Decoded audio
  */
-function loadCustomSound(dataUrl) {
-    if (!dataUrl) return null;
+async function loadBundledSound(filename) {
+    // Create URL relative to this script's location
+    const soundUrl = new URL(`./sounds/${filename}`, import.meta.url).href;
     try {
-        const audio = new Audio(dataUrl);
-        audio.load();
-        return audio;
+        const response = await fetch(soundUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await decodeSound(await response.arrayBuffer());
     } catch (e) {
-        console.warn('[TIP+] Failed to load custom sound', e);
-        return null;
+        console.warn(`[TIP+] Failed to load bundled sound: ${soundUrl}`, e);
+        throw e;
     }
 }
 
 /**
- * Initialize audio files (bundled sounds)
+ * Encode a blob as a data URL
+ * @param {Blob} blob Data
+ * @returns {Promise<string>} Data URL
  */
-async function initAudioFiles() {
-    const settings = getSettings();
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
 
-    // Try loading bundled Osu sounds (1-4.mp3)
-    for (let i = 1; i <= 4; i++) {
-        try {
-            const audio = await loadBundledSound(`osu-${i}.mp3`);
-            audioCache.osu.push(audio);
-        } catch (e) {
-            // Silently fail - will use synthesized sounds as fallback
-        }
-    }
+/**
+ * Read the list of sound pack folders from sounds/packs.json
+ * @returns {Promise<string[]>} Pack folder names
+ */
+async function discoverSoundPacks() {
+    try {
+        const response = await fetch(new URL('./sounds/packs.json', import.meta.url).href);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    // Try loading bundled iOS sounds (1-2.mp3)
-    for (let i = 1; i <= 2; i++) {
-        try {
-            const audio = await loadBundledSound(`ios-${i}.mp3`);
-            audioCache.ios.push(audio);
-        } catch (e) {
-            // Silently fail - will use synthesized sounds as fallback
+        const list = await response.json();
+        if (!Array.isArray(list)) throw new Error('expected an array of folder names');
+
+        const ids = list.filter(id => typeof id === 'string' && SOUND_PACK_ID_PATTERN.test(id));
+        if (ids.length !== list.length) {
+            console.warn('[TIP+] Ignoring invalid entries in sounds/packs.json', list.filter(id => !ids.includes(id)));
         }
+        return [...new Set(ids)];
+    } catch (e) {
+        console.warn('[TIP+] Could not read sounds/packs.json, using the bundled packs', e);
+        return DEFAULT_SOUND_PACKS;
     }
+}
 
-    // Load Osu key-specific sounds
-    try { audioCache.osuDelete = await loadBundledSound('osu-delete.mp3'); } catch (e) { }
-    try { audioCache.osuEnter = await loadBundledSound('osu-enter.mp3'); } catch (e) { }
+/**
+ * Load a sound pack from its folder. Files that fail to load are skipped.
+ * @param {string} id Pack folder name
+ * @returns {Promise<object|null>} Loaded pack, or null if its manifest is missing or invalid
+ */
+async function loadSoundPack(id) {
+    let manifest;
+    try {
+        const response = await fetch(new URL(`./sounds/${id}/pack.json`, import.meta.url).href);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        manifest = await response.json();
+    } catch (e) {
+        console.warn(`[TIP+] Failed to load sound pack "${id}"`, e);
+        return null;
+    }
 
-    // Load iOS key-specific sounds
-    try { audioCache.iosDelete = await loadBundledSound('ios-delete-1.mp3'); } catch (e) { }
+    const volume = Number(manifest?.volume);
+    const pack = {
+        name: typeof manifest?.name === 'string' && manifest.name.trim() ? manifest.name.trim() : id,
+        volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 1,
+    };
 
-    // Load custom sounds if set
-    if (settings.customSoundFile) {
-        audioCache.custom = loadCustomSound(settings.customSoundFile);
-    }
-    if (settings.userCustomSoundFile) {
-        audioCache.userCustom = loadCustomSound(settings.userCustomSoundFile);
-    }
-    if (settings.customDeleteSoundFile) {
-        audioCache.deleteCustom = loadCustomSound(settings.customDeleteSoundFile);
+    for (const category of SOUND_PACK_CATEGORIES) {
+        const files = Array.isArray(manifest?.sounds?.[category]) ? manifest.sounds[category] : [];
+        const results = await Promise.allSettled(files
+            .filter(file => typeof file === 'string' && !file.includes('..'))
+            .map(file => loadBundledSound(`${id}/${file}`)));
+        pack[category] = results.filter(r => r.status === 'fulfilled').map(r => r.value);
     }
 
-    console.log(`[TIP+] Audio initialized: ${audioCache.osu.length} Osu, ${audioCache.ios.length} iOS, Osu-specific: ${audioCache.osuDelete ? 'del' : '-'}/${audioCache.osuEnter ? 'enter' : '-'}`);
+    return pack;
 }
 
 /**
- * Play audio file with volume control
- * @param {Audio} audio Audio element to play
+ * Play a random sound of a pack category
+ * @param {string} theme Pack id
+ * @param {string} category One of SOUND_PACK_CATEGORIES
  * @param {number} volume Volume level (0-1)
+ * @param {'character'|'user'} [channel] Output channel
+ * @param {number} [pitch] Playback rate
+ * @returns {boolean} Whether a sound was played
  */
-function playAudioFile(audio, volume) {
-    if (!audio) return false;
+function playPackSound(theme, category, volume, channel = 'character', pitch = 1) {
+    const pack = audioCache.packs[theme];
+    if (!pack || !pack[category]?.length) return false;
+    return playAudioBuffer(getRandomElement(pack[category]), volume * pack.volume, channel, pitch);
+}
 
+/**
+ * Decode a custom sound
+ * @param {Blob|string} source Library blob, or a legacy data URL
+ * @returns {Promise<AudioBuffer|null>} Decoded audio, null if it can't be decoded
+ */
+async function loadCustomSound(source) {
+    if (!source) return null;
     try {
-        // Clone audio for concurrent playback support
-        const clone = audio.cloneNode();
-        clone.volume = Math.min(1, Math.max(0, volume));
-        // Silently catch autoplay policy errors - browser may block until user interaction
-        clone.play().catch(() => { });
-        return true;
+        const data = typeof source === 'string'
+            ? await (await fetch(source)).arrayBuffer()
+            : await source.arrayBuffer();
+        return await decodeSound(data);
     } catch (e) {
-        return false;
+        console.warn('[TIP+] Failed to load custom sound', e);
+        return null;
     }
 }
 
+// Custom sounds live in IndexedDB (local to this browser); settings only keep their ids
+const SOUND_DB_NAME = 'TypingIndicatorPlus';
+const SOUND_DB_STORE = 'sounds';
+const SOUND_ID_PATTERN = /^sound_[a-z0-9]+$/;
+
+// Settings that reference a library sound, and the data URL keys they replaced
+const SOUND_SLOTS = {
+    customSoundId: { cacheKey: 'custom', legacyKey: 'customSoundFile', label: 'Character Sound' },
+    userCustomSoundId: { cacheKey: 'userCustom', legacyKey: 'userCustomSoundFile', label: 'User Sound' },
+    customDeleteSoundId: { cacheKey: 'deleteCustom', legacyKey: 'customDeleteSoundFile', label: 'Delete Sound' },
+    sendSoundId: { cacheKey: 'sendCustom', legacyKey: null, label: 'Send Sound' },
+    receiveSoundId: { cacheKey: 'receiveCustom', legacyKey: null, label: 'Receive Sound' },
+};
+const LEGACY_SOUND_KEYS = Object.values(SOUND_SLOTS).map(slot => slot.legacyKey).filter(Boolean);
+
+let soundDbPromise = null;
+
 /**
- * Get random element from array
+ * Open (and create on first use) the sound library database
+ * @returns {Promise<IDBDatabase>} Database
  */
-function getRandomElement(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+function openSoundDb() {
+    if (!soundDbPromise) {
+        soundDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SOUND_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(SOUND_DB_STORE, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let the next call retry after a failure
+        soundDbPromise.catch(() => { soundDbPromise = null; });
+    }
+    return soundDbPromise;
 }
 
 /**
- * Get the settings for this extension.
- * @returns {TypingIndicatorSettings} Settings object
+ * Run a request against the sound store and wait for its transaction
+ * @param {IDBTransactionMode} mode Transaction mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action Creates the request
+ * @returns {Promise<any>} Request result
  */
-function getSettings() {
-    if (extension_settings[MODULE] === undefined) {
-        extension_settings[MODULE] = structuredClone(defaultSettings);
-    }
+async function withSoundStore(mode, action) {
+    const db = await openSoundDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SOUND_DB_STORE, mode);
+        const request = action(transaction.objectStore(SOUND_DB_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
 
-    for (const key in defaultSettings) {
-        if (extension_settings[MODULE][key] === undefined) {
-            extension_settings[MODULE][key] = defaultSettings[key];
-        }
-    }
+/**
+ * List the sounds in the library, oldest first
+ * @returns {Promise<{id: string, name: string, type: string, size: number, blob: Blob, createdAt: number}[]>}
+ */
+async function listStoredSounds() {
+    const sounds = await withSoundStore('readonly', store => store.getAll());
+    return sounds.sort((a, b) => a.createdAt - b.createdAt);
+}
 
-    return extension_settings[MODULE];
+/**
+ * Add a sound to the library
+ * @param {Blob} blob Audio data
+ * @param {string} name Display name
+ * @returns {Promise<string>} New sound id
+ */
+async function addStoredSound(blob, name) {
+    const id = `sound_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    await withSoundStore('readwrite', store => store.put({ id, name, type: blob.type, size: blob.size, blob, createdAt: Date.now() }));
+    return id;
 }
 
 /**
- * Check if an avatar URL is SillyTavern's default bot avatar (should be excluded)
- * @param {string} src Avatar source URL
- * @returns {boolean} True if it's a valid character avatar
+ * Rename a library sound
+ * @param {string} id Sound id
+ * @param {string} name New name
  */
-function isValidCharacterAvatar(src) {
-    if (!src) return false;
+async function renameStoredSound(id, name) {
+    const record = await withSoundStore('readonly', store => store.get(id));
+    if (!record) return;
+    await withSoundStore('readwrite', store => store.put({ ...record, name }));
+}
 
-    // Exclude user avatars
-    if (src.includes('User Avatars') || src.includes('user_avatar')) return false;
+/**
+ * Remove a sound from the library and from every setting that uses it
+ * @param {string} id Sound id
+ */
+async function deleteStoredSound(id) {
+    await withSoundStore('readwrite', store => store.delete(id));
 
-    // Exclude SillyTavern's default bot avatars
-    // Common default avatar patterns in SillyTavern
-    if (src.includes('/img/ai4.png') ||
-        src.includes('default_bot.png') ||
-        src.includes('bot_avatar.png') ||
-        src.includes('default-user.png') ||
-        src.includes('img/ai') ||  // Default AI avatars
-        src.endsWith('ai4.png') ||
-        src.endsWith('ai1.png') ||
-        src.endsWith('ai2.png') ||
-        src.endsWith('ai3.png')) {
-        return false;
+    const settings = getSettings();
+    for (const key of Object.keys(SOUND_SLOTS)) {
+        if (settings[key] === id) settings[key] = null;
     }
-
-    return true;
+    for (const entry of Object.values(settings.userKeySounds)) {
+        if (entry.sound === id) entry.sound = 'auto';
+    }
+    saveSettingsDebounced();
+    await loadCustomSounds(settings);
 }
 
 /**
- * Get the character avatar URL - comprehensive selector approach
- * @returns {string} Avatar URL or empty string
+ * Move custom sounds saved as data URLs (before the sound library) into IndexedDB.
+ * On failure the data URLs are kept and still played.
+ * @param {object} settings Extension settings
  */
-function getCharacterAvatar() {
-    // Method 1: Character avatar preview (MOST RELIABLE - always reflects current character)
-    const avatarPreview = document.querySelector('#avatar_load_preview');
-    if (avatarPreview && avatarPreview.src && isValidCharacterAvatar(avatarPreview.src)) {
-        console.log('[TIP+] Avatar found from avatar_load_preview:', avatarPreview.src);
-        return avatarPreview.src;
+async function importLegacySounds(settings) {
+    let imported = 0;
+    for (const [key, slot] of Object.entries(SOUND_SLOTS)) {
+        const dataUrl = settings[slot.legacyKey];
+        if (dataUrl === undefined) continue;
+
+        try {
+            if (typeof dataUrl === 'string' && dataUrl.startsWith('data:')) {
+                const blob = await (await fetch(dataUrl)).blob();
+                settings[key] = await addStoredSound(blob, slot.label);
+                imported++;
+            }
+            delete settings[slot.legacyKey];
+        } catch (e) {
+            console.warn(`[TIP+] Could not move ${slot.legacyKey} into the sound library`, e);
+        }
     }
 
-    // Method 2: Get from the most recent CHARACTER message (not user)
-    // SillyTavern marks character messages with is_user="false"
+    if (imported > 0) {
+        console.log(`[TIP+] Moved ${imported} custom sound(s) from settings into the sound library`);
+        saveSettingsDebounced();
+    }
+}
+
+/**
+ * Load the library sounds referenced by the settings into the audio cache
+ * @param {object} settings Extension settings
+ */
+async function loadCustomSounds(settings) {
+    let sounds = [];
+    try {
+        sounds = await listStoredSounds();
+    } catch (e) {
+        console.warn('[TIP+] Sound library unavailable', e);
+    }
+
+    for (const [key, slot] of Object.entries(SOUND_SLOTS)) {
+        const record = sounds.find(sound => sound.id === settings[key]);
+        audioCache[slot.cacheKey] = await loadCustomSound(record?.blob ?? settings[slot.legacyKey]);
+    }
+
+    const keySounds = {};
+    for (const id of getKeyMapSoundIds(settings)) {
+        const record = sounds.find(sound => sound.id === id);
+        if (record) keySounds[id] = await loadCustomSound(record.blob);
+    }
+    audioCache.keySounds = keySounds;
+}
+
+/**
+ * Library sounds used by the user key map
+ * @param {object} settings Extension settings
+ * @returns {string[]} Sound ids
+ */
+function getKeyMapSoundIds(settings) {
+    const ids = Object.values(settings.userKeySounds ?? {}).map(entry => entry.sound).filter(id => SOUND_ID_PATTERN.test(id));
+    return [...new Set(ids)];
+}
+
+/**
+ * Library sounds used anywhere in the settings: the custom sound slots and the user key map
+ * @param {object} settings Extension settings
+ * @returns {string[]} Sound ids
+ */
+function getUsedSoundIds(settings) {
+    const slotIds = Object.keys(SOUND_SLOTS).map(key => settings[key]).filter(Boolean);
+    return [...new Set([...slotIds, ...getKeyMapSoundIds(settings)])];
+}
+
+/**
+ * Initialize audio files (bundled sounds)
+ */
+async function initAudioFiles() {
+    const settings = getSettings();
+
+    // Start from an empty cache so re-initializing (e.g. after a preset import) doesn't duplicate sounds
+    audioCache = {
+        packs: {},
+        custom: null,
+        userCustom: null,
+        deleteCustom: null,
+        sendCustom: null,
+        receiveCustom: null,
+        keySounds: {},
+    };
+
+    for (const id of await discoverSoundPacks()) {
+        const pack = await loadSoundPack(id);
+        if (pack) {
+            audioCache.packs[id] = pack;
+        }
+    }
+
+    // Load custom sounds from the sound library
+    await importLegacySounds(settings);
+    await loadCustomSounds(settings);
+
+    const packSummary = Object.entries(audioCache.packs).map(([id, pack]) => `${id} (${pack.normal.length})`).join(', ');
+    console.log(`[TIP+] Audio initialized: sound packs ${packSummary || 'none'}`);
+    refreshSoundSettings?.();
+}
+
+/**
+ * Whether text-to-speech is talking: SillyTavern's TTS audio, the browser's speech synthesis,
+ * or another extension that called `TypingIndicatorPlus.duck()`
+ * @returns {boolean} TTS is speaking
+ */
+function isTtsSpeaking() {
+    const ttsAudio = document.getElementById('tts_audio');
+    const isTtsAudioPlaying = ttsAudio instanceof HTMLMediaElement && !ttsAudio.paused && !ttsAudio.ended;
+    return isTtsAudioPlaying || !!window.speechSynthesis?.speaking || isExternallyDucked;
+}
+
+/**
+ * Whether the current local time is inside the quiet hours
+ * @param {object} settings Extension settings
+ * @param {Date} [now] Time to check
+ * @returns {boolean} Sounds should stay silent
+ */
+function isInQuietHours(settings, now = new Date()) {
+    if (!settings.quietHoursEnabled) return false;
+
+    const toMinutes = time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const start = toMinutes(settings.quietHoursStart);
+    const end = toMinutes(settings.quietHoursEnd);
+    const current = now.getHours() * 60 + now.getMinutes();
+
+    // e.g. 22:00-07:00 wraps past midnight
+    return start <= end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+/**
+ * Volume factor of the audio policy, applied to every sound
+ * @returns {number} 0 when sounds are silenced (mute, hidden tab, quiet hours, TTS), the duck volume while TTS speaks, else 1
+ */
+function getAudioPolicyVolume() {
+    const settings = getSettings();
+    if (settings.masterMute) return 0;
+    if (settings.muteWhenHidden && document.hidden) return 0;
+    if (isInQuietHours(settings)) return 0;
+    if (settings.ttsDucking !== 'off' && isTtsSpeaking()) {
+        return settings.ttsDucking === 'mute' ? 0 : settings.ttsDuckVolume;
+    }
+    return 1;
+}
+
+/**
+ * Master gain with a channel per sound source, created on first use
+ * @returns {{master: GainNode, character: GainNode, user: GainNode}|null} Output nodes
+ */
+function getAudioChannels() {
+    const ctx = initAudioContext();
+    if (!ctx) return null;
+
+    if (!audioChannels) {
+        const master = ctx.createGain();
+        master.connect(ctx.destination);
+        const character = ctx.createGain();
+        character.connect(master);
+        const user = ctx.createGain();
+        user.connect(master);
+        audioChannels = { master, character, user };
+    }
+    return audioChannels;
+}
+
+/**
+ * Get the audio context ready to play. Browsers keep it suspended until the user interacts with the page;
+ * in that case a hint is shown and the next click or key press resumes it.
+ * @returns {AudioContext|null} Running (or resuming) context
+ */
+function getPlayableAudioContext() {
+    const ctx = initAudioContext();
+    if (!ctx) return null;
+
+    if (ctx.state === 'suspended') {
+        ctx.resume().catch(() => { });
+        if (!audioUnlockPending) {
+            audioUnlockPending = true;
+            const unlock = () => {
+                ctx.resume().then(() => {
+                    audioUnlockPending = false;
+                    toastr.clear(audioUnlockToast);
+                    document.removeEventListener('pointerdown', unlock, true);
+                    document.removeEventListener('keydown', unlock, true);
+                }).catch(() => { });
+            };
+            document.addEventListener('pointerdown', unlock, true);
+            document.addEventListener('keydown', unlock, true);
+            audioUnlockToast = toastr.info(t`Click anywhere to enable typing sounds.`, 'Typing Indicator+', { timeOut: 0, extendedTimeOut: 0, tapToDismiss: true });
+        }
+    }
+    return ctx;
+}
+
+/**
+ * Count a source toward the polyphony cap, cutting the oldest voice when the cap is reached.
+ * Every sound the engine plays (buffers, synth layers, end state tones) goes through here.
+ * @param {AudioScheduledSourceNode} source Source about to start
+ * @param {AudioNode} output Node to disconnect once the source has ended
+ */
+function addVoice(source, output) {
+    while (activeVoices.length >= MAX_VOICES) {
+        activeVoices.shift().stop();
+    }
+    source.addEventListener('ended', () => {
+        activeVoices = activeVoices.filter(voice => voice !== source);
+        output.disconnect();
+    }, { once: true });
+    activeVoices.push(source);
+}
+
+/**
+ * Play a decoded sound through the engine, with slight pitch and gain variation.
+ * Polyphony is capped; the oldest voice is cut when the cap is reached.
+ * @param {AudioBuffer} buffer Decoded sound
+ * @param {number} volume Volume level (0-1)
+ * @param {'character'|'user'} [channel] Output channel
+ * @param {number} [pitch] Playback rate before randomization
+ * @returns {boolean} Whether the sound was started
+ */
+function playAudioBuffer(buffer, volume, channel = 'character', pitch = 1) {
+    const policyVolume = getAudioPolicyVolume();
+    if (!buffer || policyVolume === 0) return false;
+
+    const ctx = getPlayableAudioContext();
+    const channels = getAudioChannels();
+    if (!ctx || !channels) return false;
+
+    try {
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = pitch * (1 + (Math.random() * 2 - 1) * PITCH_VARIATION);
+
+        const gain = ctx.createGain();
+        gain.gain.value = Math.min(1, Math.max(0, volume)) * policyVolume * (1 - Math.random() * GAIN_VARIATION);
+
+        source.connect(gain);
+        gain.connect(channels[channel] ?? channels.character);
+        addVoice(source, gain);
+        source.start();
+        return true;
+    } catch (e) {
+        console.warn('[TIP+] Sound playback failed', e);
+        return false;
+    }
+}
+
+/**
+ * Get random element from array
+ */
+function getRandomElement(arr) {
+    return arr[Math.floor(Math.random() * arr.length)];
+}
+
+/**
+ * Get the settings for this extension.
+ * @returns {TypingIndicatorSettings} Settings object
+ */
+function getSettings() {
+    if (extension_settings[MODULE] === undefined) {
+        extension_settings[MODULE] = structuredClone(defaultSettings);
+    }
+
+    for (const key in defaultSettings) {
+        if (extension_settings[MODULE][key] === undefined) {
+            extension_settings[MODULE][key] = structuredClone(defaultSettings[key]);
+        }
+    }
+
+    return extension_settings[MODULE];
+}
+
+/**
+ * Get the profile key for a character (by avatar file) or a group
+ * @param {'char'|'group'} kind Profile kind
+ * @param {string} id Avatar file name or group ID
+ * @returns {string} Profile key
+ */
+function getProfileKey(kind, id) {
+    return `${kind}:${id}`;
+}
+
+/**
+ * Get the avatar file of the active character (the drafted member in a group chat), if any
+ * @returns {string|null} Avatar file name
+ */
+function getCurrentCharacterAvatarFile() {
+    if (selected_group && groupActiveAvatar) return groupActiveAvatar;
+    if (this_chid === undefined || this_chid === null) return null;
+    return characters[this_chid]?.avatar || null;
+}
+
+/**
+ * Get the profile the "This character" settings section should edit.
+ * In a group chat that is the group itself, otherwise the active character.
+ * @returns {{key: string, label: string}|null} Profile target
+ */
+function getCurrentProfileTarget() {
+    if (selected_group) {
+        const group = groups.find(g => g.id === selected_group);
+        return { key: getProfileKey('group', selected_group), label: group?.name || selected_group };
+    }
+
+    const avatar = getCurrentCharacterAvatarFile();
+    if (avatar) {
+        return { key: getProfileKey('char', avatar), label: characters[this_chid]?.name || avatar };
+    }
+
+    return null;
+}
+
+/**
+ * Get the settings with profile overrides applied on top of the globals.
+ * Group overrides are applied first, then the character's own overrides,
+ * so a group member's profile wins over the group profile.
+ * @param {string|null} [avatarFile] Character avatar file (defaults to the active character)
+ * @returns {TypingIndicatorSettings} Merged settings (a copy - do not save)
+ */
+function getEffectiveSettings(avatarFile = getCurrentCharacterAvatarFile()) {
+    const settings = getSettings();
+    const profiles = settings.characterProfiles || {};
+    const layers = [];
+
+    if (selected_group) {
+        layers.push(profiles[getProfileKey('group', selected_group)]);
+    }
+    if (avatarFile) {
+        layers.push(profiles[getProfileKey('char', avatarFile)]);
+    }
+
+    const merged = { ...settings };
+    for (const overrides of layers) {
+        if (!overrides) continue;
+        for (const key of PROFILE_KEYS) {
+            if (overrides[key] !== undefined) {
+                merged[key] = overrides[key];
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Check if an avatar URL is SillyTavern's default bot avatar (should be excluded)
+ * @param {string} src Avatar source URL
+ * @returns {boolean} True if it's a valid character avatar
+ */
+function isValidCharacterAvatar(src) {
+    if (!src) return false;
+
+    // Exclude user avatars
+    if (src.includes('User Avatars') || src.includes('user_avatar')) return false;
+
+    // Exclude SillyTavern's default bot avatars
+    // Common default avatar patterns in SillyTavern
+    if (src.includes('/img/ai4.png') ||
+        src.includes('default_bot.png') ||
+        src.includes('bot_avatar.png') ||
+        src.includes('default-user.png') ||
+        src.includes('img/ai') ||  // Default AI avatars
+        src.endsWith('ai4.png') ||
+        src.endsWith('ai1.png') ||
+        src.endsWith('ai2.png') ||
+        src.endsWith('ai3.png')) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Get the character avatar URL - comprehensive selector approach
+ * @returns {string} Avatar URL or empty string
+ */
+function getCharacterAvatar() {
+    // Method 1: Character avatar preview (MOST RELIABLE - always reflects current character)
+    const avatarPreview = document.querySelector('#avatar_load_preview');
+    if (avatarPreview && avatarPreview.src && isValidCharacterAvatar(avatarPreview.src)) {
+        console.log('[TIP+] Avatar found from avatar_load_preview:', avatarPreview.src);
+        return avatarPreview.src;
+    }
+
+    // Method 2: Get from the most recent CHARACTER message (not user)
+    // SillyTavern marks character messages with is_user="false"
     const charMsgs = document.querySelectorAll('#chat .mes[is_user="false"] .avatar img');
     if (charMsgs.length > 0) {
         const lastCharAvatar = charMsgs[charMsgs.length - 1];
@@ -377,198 +1704,358 @@ function getCharacterAvatar() {
     return '';
 }
 
+/**
+ * Find a character by avatar file
+ * @param {string} avatarFile Avatar file name
+ * @returns {object|undefined} Character object
+ */
+function getCharacterByAvatar(avatarFile) {
+    return characters.find(c => c.avatar === avatarFile);
+}
+
+/**
+ * Predict which group members will reply after the given one.
+ * Only the list activation strategy drafts members in a known order;
+ * for the other strategies the queue is unknown and stays empty.
+ * @param {string} activeAvatar Avatar file of the drafted member
+ * @returns {string[]} Avatar files of the queued members
+ */
+function predictGroupQueue(activeAvatar) {
+    const group = groups.find(g => g.id === selected_group);
+    if (!group || group.activation_strategy !== group_activation_strategy.LIST) return [];
+
+    const enabledMembers = group.members.filter(m => !group.disabled_members?.includes(m));
+    const index = enabledMembers.indexOf(activeAvatar);
+    return index === -1 ? [] : enabledMembers.slice(index + 1);
+}
+
+/**
+ * Reset group chat tracking state
+ */
+function resetGroupState() {
+    groupActiveAvatar = null;
+    groupQueue = [];
+    groupMemberReplies.clear();
+}
+
+/**
+ * Handle a group member being drafted to reply.
+ * If the indicator is already showing the previous member, it is switched in place.
+ * @param {number} chId Character index of the drafted member
+ */
+function handleGroupMemberDrafted(chId) {
+    const settings = getSettings();
+    if (!settings.groupChatSupport || !selected_group) return;
+
+    const avatar = characters[chId]?.avatar;
+    if (!avatar) return;
+
+    groupActiveAvatar = avatar;
+    groupQueue = predictGroupQueue(avatar);
+    groupMemberReplies.set(avatar, false);
+
+    if (isIndicatorVisible) {
+        isCharThinking = false;
+        refreshIndicator();
+    }
+}
+
 /**
  * Play typing sound effect - prefers audio files over synthesized sounds
  * @param {number} volume Volume level (0-1)
  * @param {string} theme Sound theme
  * @param {boolean} isUser Whether this is for user typing (uses different custom sound)
- * @param {string|null} key The key that was pressed (for key-specific sounds)
+ * @param {string|null} category Pack category for key-specific sounds (e.g. 'delete'), null for a normal click
+ * @param {number} [pitch] Playback rate
  */
-function playTypingSound(volume, theme = 'ios', isUser = false, key = null) {
+function playTypingSound(volume, theme = 'ios', isUser = false, category = null, pitch = 1) {
     const settings = getSettings();
-
-    // Detect special keys
-    const isDelete = key === 'Backspace' || key === 'Delete';
-    const isEnter = key === 'Enter';
+    const channel = isUser ? 'user' : 'character';
 
     // Priority 1: Custom deletion sound (if deleting)
-    if (isDelete && audioCache.deleteCustom) {
-        if (playAudioFile(audioCache.deleteCustom, volume)) {
-            return;
-        }
+    if (category === 'delete' && playAudioBuffer(audioCache.deleteCustom, volume, channel, pitch)) {
+        return;
     }
 
-    // Priority 2: Theme-specific key sounds
-    if (theme === 'osu') {
-        if (isDelete && audioCache.osuDelete && playAudioFile(audioCache.osuDelete, volume)) return;
-        if (isEnter && audioCache.osuEnter && playAudioFile(audioCache.osuEnter, volume)) return;
-    } else if (theme === 'ios') {
-        if (isDelete && audioCache.iosDelete && playAudioFile(audioCache.iosDelete, volume)) return;
+    // Priority 2: The pack's sound for this key
+    if (category && category !== 'normal' && playPackSound(theme, category, volume, channel, pitch)) {
+        return;
     }
 
     // Priority 3: Custom uploaded sound
-    const customSound = isUser ? audioCache.userCustom : audioCache.custom;
-    if (customSound) {
-        if (playAudioFile(customSound, volume)) {
-            return; // Successfully played custom sound
-        }
+    if (playAudioBuffer(isUser ? audioCache.userCustom : audioCache.custom, volume, channel, pitch)) {
+        return;
     }
 
-    // Priority 4: Bundled audio files (with random variation for osu/ios)
-    if (theme === 'osu' && audioCache.osu.length > 0) {
-        const sound = getRandomElement(audioCache.osu);
-        if (playAudioFile(sound, volume)) {
-            return; // Successfully played bundled Osu sound
-        }
-    } else if (theme === 'ios' && audioCache.ios.length > 0) {
-        const sound = getRandomElement(audioCache.ios);
-        if (playAudioFile(sound, volume)) {
-            return; // Successfully played bundled iOS sound
-        }
+    // Priority 4: Sound pack variations
+    if (playPackSound(theme, 'normal', volume, channel, pitch)) {
+        return;
     }
 
-    // Priority 5: Fall back to synthesized sounds (Web Audio API) - if enabled
-    if (settings.fallbackToSynthesized !== false) {
-        playSynthesizedSound(volume, theme);
+    // Priority 5: Synthesized sounds (Web Audio API) - the theme itself, or the fallback if enabled
+    if ((getSynthTheme(theme) && !audioCache.packs[theme]) || settings.fallbackToSynthesized !== false) {
+        playSynthesizedSound(volume, theme, channel, pitch);
     }
 }
 
 /**
- * Play synthesized sound using Web Audio API (fallback)
+ * Classify a user keystroke for the key sound map
+ * @param {KeyboardEvent|null} event Key event
+ * @returns {string} One of KEY_CLASSES
+ */
+function getKeyClass(event) {
+    if (!event) return 'letter';
+
+    const key = event.key;
+    // AltGr reports Ctrl+Alt on Windows, but types regular characters
+    const isShortcut = (event.ctrlKey || event.metaKey || event.altKey) && !event.getModifierState?.('AltGraph');
+    if (isShortcut) {
+        return (event.ctrlKey || event.metaKey) && key.toLowerCase() === 'v' ? 'paste' : 'shortcut';
+    }
+    if (key === ' ') return 'space';
+    if (key === 'Enter') return 'enter';
+    if (key === 'Backspace' || key === 'Delete') return 'delete';
+    if (key.length === 1 && !/[\p{L}\p{N}]/u.test(key)) return 'punctuation';
+    return 'letter';
+}
+
+/**
+ * Play the sound mapped to a user keystroke
+ * @param {object} settings Effective settings
+ * @param {string} keyClass One of KEY_CLASSES
+ * @param {number} volume Volume level (0-1) before the class volume
+ */
+function playUserKeySound(settings, keyClass, volume) {
+    const entry = settings.userKeySounds?.[keyClass] ?? defaultSettings.userKeySounds[keyClass];
+    if (entry.sound === 'none') return;
+
+    const pitch = 2 ** (entry.pitch / 12);
+    const classVolume = volume * entry.volume;
+
+    if (SOUND_ID_PATTERN.test(entry.sound) && playAudioBuffer(audioCache.keySounds[entry.sound], classVolume, 'user', pitch)) {
+        return;
+    }
+
+    const category = entry.sound === 'auto' || SOUND_ID_PATTERN.test(entry.sound)
+        ? KEY_CLASS_CATEGORIES[keyClass] ?? null
+        : entry.sound;
+    playTypingSound(classVolume, settings.userSoundTheme || 'ios', true, category, pitch);
+}
+
+/**
+ * Play the sound of a message moving: your message sent, or a character message arriving.
+ * Prefers the custom sound, then the theme's own, then the synthesized default.
+ * @param {'send'|'receive'} kind Message direction
+ */
+function playMessageSound(kind) {
+    const settings = getEffectiveSettings();
+    const isSend = kind === 'send';
+    if (!settings.enabled || !settings[isSend ? 'sendSoundEnabled' : 'receiveSoundEnabled']) return;
+
+    // Sending is the user's sound, receiving the character's
+    const channel = isSend ? 'user' : 'character';
+    const theme = isSend ? settings.userSoundTheme : settings.soundTheme;
+    const volume = isSend ? settings.userSoundVolume : settings.soundVolume;
+
+    if (playAudioBuffer(audioCache[isSend ? 'sendCustom' : 'receiveCustom'], volume, channel)) {
+        return;
+    }
+    if (playPackSound(theme, kind, volume, channel)) {
+        return;
+    }
+    if ((getSynthTheme(theme) && !audioCache.packs[theme]) || settings.fallbackToSynthesized !== false) {
+        playSynthLayers(SYNTH_MESSAGE_SOUNDS[kind], volume, channel);
+    }
+}
+
+/**
+ * Play the layers of a synthesized theme
+ * @param {object[]} layers Synth layers (see SYNTH_PRESETS)
  * @param {number} volume Volume level (0-1)
- * @param {string} theme Sound theme
+ * @param {'character'|'user'} [channel] Output channel
+ * @param {number} [pitch] Frequency multiplier
+ * @returns {boolean} Whether the sound was started
  */
-function playSynthesizedSound(volume, theme) {
-    try {
-        const ctx = initAudioContext();
-        if (!ctx) return;
+function playSynthLayers(layers, volume, channel = 'character', pitch = 1) {
+    const policyVolume = getAudioPolicyVolume();
+    if (policyVolume === 0) return false;
 
-        if (ctx.state === 'suspended') {
-            ctx.resume();
-        }
+    try {
+        const ctx = getPlayableAudioContext();
+        if (!ctx) return false;
+        const channels = getAudioChannels();
+        const output = channels[channel] ?? channels.character;
 
         const now = ctx.currentTime;
-        const vol = Math.min(1, Math.max(0, volume)) * 0.25;
-
-        switch (theme) {
-            case 'mechanical': {
-                // Low thud
-                const osc1 = ctx.createOscillator();
-                const gain1 = ctx.createGain();
-                osc1.type = 'triangle';
-                osc1.frequency.setValueAtTime(100 + Math.random() * 20, now);
-                osc1.frequency.exponentialRampToValueAtTime(40, now + 0.08);
-                gain1.gain.setValueAtTime(vol * 0.8, now);
-                gain1.gain.exponentialRampToValueAtTime(0.001, now + 0.1);
-                osc1.connect(gain1);
-                gain1.connect(ctx.destination);
-                osc1.start(now);
-                osc1.stop(now + 0.1);
-
-                // Metallic click
-                const osc2 = ctx.createOscillator();
-                const gain2 = ctx.createGain();
-                osc2.type = 'square';
-                osc2.frequency.setValueAtTime(2500 + Math.random() * 500, now);
-                gain2.gain.setValueAtTime(vol * 0.15, now);
-                gain2.gain.exponentialRampToValueAtTime(0.001, now + 0.02);
-                osc2.connect(gain2);
-                gain2.connect(ctx.destination);
-                osc2.start(now);
-                osc2.stop(now + 0.02);
-                break;
-            }
-            case 'retro': {
-                const osc = ctx.createOscillator();
-                const gain = ctx.createGain();
-                osc.type = 'square';
-                osc.frequency.setValueAtTime(800 + Math.random() * 100, now);
-                osc.frequency.exponentialRampToValueAtTime(400, now + 0.05);
-                gain.gain.setValueAtTime(vol * 0.4, now);
-                gain.gain.exponentialRampToValueAtTime(0.001, now + 0.06);
-                osc.connect(gain);
-                gain.connect(ctx.destination);
-                osc.start(now);
-                osc.stop(now + 0.06);
-                break;
-            }
-            case 'soft': {
-                const osc = ctx.createOscillator();
-                const gain = ctx.createGain();
-                osc.type = 'sine';
-                osc.frequency.setValueAtTime(400 + Math.random() * 50, now);
-                gain.gain.setValueAtTime(vol * 0.5, now);
-                gain.gain.exponentialRampToValueAtTime(0.001, now + 0.04);
-                osc.connect(gain);
-                gain.connect(ctx.destination);
-                osc.start(now);
-                osc.stop(now + 0.04);
-                break;
-            }
-            case 'osu': {
-                // Osu! hit circle style - punchy, crisp click
-                const osc1 = ctx.createOscillator();
-                const gain1 = ctx.createGain();
-                osc1.type = 'sine';
-                osc1.frequency.setValueAtTime(1000 + Math.random() * 50, now);
-                osc1.frequency.exponentialRampToValueAtTime(600, now + 0.02);
-                gain1.gain.setValueAtTime(vol * 1.2, now);
-                gain1.gain.exponentialRampToValueAtTime(0.001, now + 0.03);
-                osc1.connect(gain1);
-                gain1.connect(ctx.destination);
-                osc1.start(now);
-                osc1.stop(now + 0.035);
-
-                // Higher frequency overlay for crisp "click"
-                const osc2 = ctx.createOscillator();
-                const gain2 = ctx.createGain();
-                osc2.type = 'sine';
-                osc2.frequency.setValueAtTime(2200 + Math.random() * 100, now);
-                gain2.gain.setValueAtTime(vol * 0.4, now);
-                gain2.gain.exponentialRampToValueAtTime(0.001, now + 0.015);
-                osc2.connect(gain2);
-                gain2.connect(ctx.destination);
-                osc2.start(now);
-                osc2.stop(now + 0.02);
-                break;
+        const vol = Math.min(1, Math.max(0, volume)) * policyVolume * 0.25;
+        const clampFreq = freq => Math.min(ctx.sampleRate / 2, Math.max(20, freq));
+
+        for (const layer of layers) {
+            const attack = Math.max(0, layer.attack) / 1000;
+            const length = attack + Math.max(1, layer.decay) / 1000;
+            // Exponential ramps can't start from 0
+            const peak = Math.max(0.0001, vol * layer.gain);
+            const offset = Math.random() * Math.max(0, layer.jitter);
+
+            const gain = ctx.createGain();
+            if (attack > 0) {
+                gain.gain.setValueAtTime(0.0001, now);
+                gain.gain.linearRampToValueAtTime(peak, now + attack);
+            } else {
+                gain.gain.setValueAtTime(peak, now);
             }
-            case 'ios':
-            default: {
-                // Original iOS style tick
-                const osc1 = ctx.createOscillator();
-                const gain1 = ctx.createGain();
-                osc1.type = 'sine';
-                osc1.frequency.setValueAtTime(1300 + Math.random() * 100, now);
-                osc1.frequency.exponentialRampToValueAtTime(400, now + 0.025);
-                gain1.gain.setValueAtTime(vol, now);
-                gain1.gain.exponentialRampToValueAtTime(0.001, now + 0.035);
-                osc1.connect(gain1);
-                gain1.connect(ctx.destination);
-                osc1.start(now);
-                osc1.stop(now + 0.04);
-
-                const bufferSize = ctx.sampleRate * 0.01;
-                const noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + length);
+
+            let source;
+            let frequency;
+            if (layer.type === 'noise') {
+                const noiseBuffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * length), ctx.sampleRate);
                 const noiseData = noiseBuffer.getChannelData(0);
-                for (let i = 0; i < bufferSize; i++) {
-                    noiseData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (bufferSize * 0.2));
+                for (let i = 0; i < noiseData.length; i++) {
+                    noiseData[i] = Math.random() * 2 - 1;
                 }
-                const noiseSource = ctx.createBufferSource();
-                const noiseGain = ctx.createGain();
-                noiseSource.buffer = noiseBuffer;
-                noiseGain.gain.setValueAtTime(vol * 0.1, now);
-                noiseGain.gain.exponentialRampToValueAtTime(0.001, now + 0.01);
-                noiseSource.connect(noiseGain);
-                noiseGain.connect(ctx.destination);
-                noiseSource.start(now);
-                break;
+                source = ctx.createBufferSource();
+                source.buffer = noiseBuffer;
+                const filter = ctx.createBiquadFilter();
+                filter.type = 'lowpass';
+                frequency = filter.frequency;
+                source.connect(filter);
+                filter.connect(gain);
+            } else {
+                source = ctx.createOscillator();
+                source.type = layer.type;
+                frequency = source.frequency;
+                source.connect(gain);
+            }
+
+            const startFreq = clampFreq((layer.startFreq + offset) * pitch);
+            const endFreq = clampFreq((layer.endFreq + offset) * pitch);
+            frequency.setValueAtTime(startFreq, now);
+            if (endFreq !== startFreq) {
+                frequency.exponentialRampToValueAtTime(endFreq, now + length);
             }
+
+            gain.connect(output);
+            addVoice(source, gain);
+            source.start(now);
+            source.stop(now + length + 0.005);
         }
+        return true;
     } catch (e) {
-        console.warn('Sound playback failed', e);
+        console.warn('[TIP+] Sound playback failed', e);
+        return false;
     }
 }
 
+/**
+ * Play synthesized sound using Web Audio API (fallback)
+ * @param {number} volume Volume level (0-1)
+ * @param {string} theme Sound theme; unknown themes use the iOS preset
+ * @param {'character'|'user'} [channel] Output channel
+ * @param {number} [pitch] Frequency multiplier
+ */
+function playSynthesizedSound(volume, theme, channel = 'character', pitch = 1) {
+    const synth = getSynthTheme(theme) ?? SYNTH_PRESETS.ios;
+    playSynthLayers(synth.layers, volume, channel, pitch);
+}
+
+/**
+ * Play the short cue of an end state: two falling tones for "stopped", a low buzz for "failed"
+ * @param {'stopped'|'failed'} outcome End state
+ * @param {number} volume Volume level (0-1)
+ */
+function playEndStateSound(outcome, volume) {
+    const policyVolume = getAudioPolicyVolume();
+    if (policyVolume === 0) return;
+
+    try {
+        const ctx = getPlayableAudioContext();
+        if (!ctx) return;
+        const output = getAudioChannels().character;
+
+        const now = ctx.currentTime;
+        const vol = Math.min(1, Math.max(0, volume)) * policyVolume * 0.2;
+        const tones = outcome === 'failed'
+            ? [{ type: 'sawtooth', from: 180, to: 120, start: 0, length: 0.25 }]
+            : [{ type: 'sine', from: 660, to: 660, start: 0, length: 0.1 }, { type: 'sine', from: 440, to: 440, start: 0.12, length: 0.14 }];
+
+        for (const tone of tones) {
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            osc.type = tone.type;
+            osc.frequency.setValueAtTime(tone.from, now + tone.start);
+            osc.frequency.exponentialRampToValueAtTime(tone.to, now + tone.start + tone.length);
+            gain.gain.setValueAtTime(vol, now + tone.start);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + tone.start + tone.length);
+            osc.connect(gain);
+            gain.connect(output);
+            addVoice(osc, gain);
+            osc.start(now + tone.start);
+            osc.stop(now + tone.start + tone.length);
+        }
+    } catch (e) {
+        console.warn('[TIP+] End state sound failed', e);
+    }
+}
+
+/**
+ * Format a duration for the stats line
+ * @param {number} ms Duration in milliseconds
+ * @returns {string} e.g. "8.4s" or "2m 05s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(0, ms) / 1000;
+    if (seconds < 60) return `${seconds.toFixed(1)}s`;
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+}
+
+/**
+ * Format a count for the stats line
+ * @param {number} count Count
+ * @returns {string} e.g. "340" or "1.2k"
+ */
+function formatCount(count) {
+    return count < 1000 ? String(count) : `${(count / 1000).toFixed(1)}k`;
+}
+
+/**
+ * Whether the stats line should use its compact variant
+ * @param {TypingIndicatorSettings} settings
+ * @returns {boolean}
+ */
+function isCompactStats(settings) {
+    return ['minimal', 'discord'].includes(settings.style) ||
+        (settings.mobileMode && window.matchMedia('(max-width: 768px)').matches);
+}
+
+/**
+ * Build the stats line text from the current stream statistics
+ * @param {boolean} compact Only elapsed time and tokens per second
+ * @returns {string} Stats text
+ */
+function formatGenerationStats(compact) {
+    const now = Date.now();
+    const elapsed = formatDuration(now - streamStats.startedAt);
+    const rate = `${getTokensPerSecond().toFixed(1)} t/s`;
+
+    if (compact) {
+        return streamStats.firstTokenAt ? `${elapsed} · ${rate}` : elapsed;
+    }
+
+    const ttft = streamStats.firstTokenAt ? formatDuration(streamStats.firstTokenAt - streamStats.startedAt) : '—';
+    return `⏱ ${elapsed} · TTFT ${ttft} · ${formatCount(streamStats.tokens)} tok / ${formatCount(streamStats.chars)} chars · ${rate}`;
+}
+
+/**
+ * Update the stats line of the visible indicator in place
+ */
+function updateStatsLine() {
+    const statsElement = document.querySelector('#typing_indicator_plus .typing-stats');
+    if (!statsElement) return;
+    statsElement.textContent = formatGenerationStats(statsElement.classList.contains('compact'));
+}
+
 /**
  * Generate the dots animation SVG based on theme
  * @param {string} theme Animation theme
@@ -625,15 +2112,18 @@ function generateDotsAnimation(theme, style) {
         theme === 'minimal' ? 'minimalFade' :
             theme === 'wave' ? 'waveDot' : 'smoothFade';
 
+    // Duration scales with --tip-anim-speed (set while syncing to the stream)
+    const duration = `calc(${anim.duration} / var(--tip-anim-speed, 1))`;
+
     // SVG dots for most styles
     return `
         <span class="typing-dots-container">
             <svg xmlns="http://www.w3.org/2000/svg" width="32" height="16" viewBox="0 0 32 16" style="overflow:visible;">
                 <style>
                     ${anim.keyframes}
-                    .typing-dot-1 { animation: ${animName} ${anim.duration} ${anim.timing} 0s infinite; }
-                    .typing-dot-2 { animation: ${animName} ${anim.duration} ${anim.timing} 0.15s infinite; }
-                    .typing-dot-3 { animation: ${animName} ${anim.duration} ${anim.timing} 0.3s infinite; }
+                    .typing-dot-1 { animation: ${animName} ${duration} ${anim.timing} 0s infinite; }
+                    .typing-dot-2 { animation: ${animName} ${duration} ${anim.timing} calc(0.15s / var(--tip-anim-speed, 1)) infinite; }
+                    .typing-dot-3 { animation: ${animName} ${duration} ${anim.timing} calc(0.3s / var(--tip-anim-speed, 1)) infinite; }
                 </style>
                 <circle class="typing-dot-1" cx="6" cy="8" r="3" fill="currentColor"/>
                 <circle class="typing-dot-2" cx="16" cy="8" r="3" fill="currentColor"/>
@@ -643,36 +2133,394 @@ function generateDotsAnimation(theme, style) {
     `;
 }
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Escape a value for HTML text or a quoted attribute
+ * @param {any} value Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Whether a URL may be used as an image source: relative paths, http(s), blob: and data:image/ only
+ * @param {string} url URL from the page or the settings
+ * @returns {boolean} Safe to render
+ */
+function isSafeImageUrl(url) {
+    const value = String(url ?? '').trim();
+    if (!value) return false;
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value)?.[1].toLowerCase();
+    return scheme === undefined || ['http', 'https', 'blob'].includes(scheme) || /^data:image\//i.test(value);
+}
+
+/**
+ * Render a user-written indicator text. Everything is escaped first, then only bold and italics are restored:
+ * **bold**, *italic*, and matched <b>/<strong>/<i>/<em> pairs without attributes. Emoji pass through as text.
+ * @param {string} text Raw text (placeholders are left untouched)
+ * @returns {string} Safe HTML
+ */
+function formatIndicatorText(text) {
+    let html = escapeHtml(text);
+
+    // Only matched pairs are restored; nested tags unwrap one level per pass
+    const tagPair = /&lt;(b|strong|i|em)&gt;((?:(?!&lt;\/?\1&gt;).)*?)&lt;\/\1&gt;/gi;
+    for (let pass = 0; pass < 4; pass++) {
+        const next = html.replace(tagPair, (_, tag, inner) => `<${tag.toLowerCase()}>${inner}</${tag.toLowerCase()}>`);
+        if (next === html) break;
+        html = next;
+    }
+
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<b>$1</b>')
+        .replace(/\*(?=\S)([^*]+?)\*/g, '<i>$1</i>');
+}
+
+const CUSTOM_STYLE_SHEET_ID = 'typing_indicator_plus_custom_css';
+
+/** Sanitized custom templates, keyed by raw template source */
+const sanitizedTemplateCache = new Map();
+
+/**
+ * Find a user-defined style by id
+ * @param {string} id Style id (custom_*)
+ * @param {object[]} [customStyles] Styles to search (default: the installed ones)
+ * @returns {{id: string, name: string, template: string, css: string}|undefined}
+ */
+function getCustomStyle(id, customStyles = extension_settings[MODULE]?.customStyles) {
+    return customStyles?.find(style => style.id === id);
+}
+
+/**
+ * Sanitize a custom template once; placeholders survive as plain text and are filled in afterwards
+ * @param {string} template Raw template HTML
+ * @returns {string} Sanitized template
+ */
+function sanitizeCustomTemplate(template) {
+    if (!sanitizedTemplateCache.has(template)) {
+        if (sanitizedTemplateCache.size > 20) sanitizedTemplateCache.clear();
+        sanitizedTemplateCache.set(template, DOMPurify.sanitize(template, { FORBID_TAGS: ['style', 'script', 'link', 'iframe', 'form'] }));
+    }
+    return sanitizedTemplateCache.get(template);
+}
+
+/**
+ * Find the brace that closes the block opened at `open`
+ * @param {string} css CSS source
+ * @param {number} open Index of the opening brace
+ * @returns {number} Index of the closing brace (or the end of the source if unbalanced)
+ */
+function findCssBlockEnd(css, open) {
+    let depth = 0;
+    for (let i = open; i < css.length; i++) {
+        if (css[i] === '{') depth++;
+        else if (css[i] === '}' && --depth === 0) return i;
+    }
+    return css.length;
+}
+
+/**
+ * Prefix every selector with the style scope so custom CSS can't leak into the rest of the UI.
+ * `&` refers to the indicator itself; @media/@supports/@container/@layer are scoped recursively,
+ * @keyframes/@font-face kept as-is. Any other at-rule could style the whole page, so it's dropped.
+ * @param {string} css Raw CSS
+ * @param {string} scope Scope selector
+ * @param {string[]} [dropped] Receives the at-rules that were dropped
+ * @returns {string} Scoped CSS
+ */
+function scopeCss(css, scope, dropped = []) {
+    const source = css
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/@[\w-]+[^;{}]*;/g, rule => {
+            dropped.push(rule.trim());
+            return '';
+        });
+
+    let output = '';
+    let index = 0;
+    while (index < source.length) {
+        const open = source.indexOf('{', index);
+        if (open === -1) break;
+
+        const prelude = source.slice(index, open).replace(/[;}]/g, '').trim();
+        const close = findCssBlockEnd(source, open);
+        const body = source.slice(open + 1, close);
+        index = close + 1;
+
+        if (!prelude) continue;
+
+        if (/^@(media|supports|container|layer)\b/i.test(prelude)) {
+            output += `${prelude} {\n${scopeCss(body, scope, dropped)}}\n`;
+        } else if (/^@(keyframes|font-face)\b/i.test(prelude)) {
+            output += `${prelude} {${body}}\n`;
+        } else if (prelude.startsWith('@')) {
+            dropped.push(prelude);
+        } else {
+            const selectors = prelude.split(',')
+                .map(selector => selector.trim())
+                .filter(Boolean)
+                .map(selector => selector.includes('&') ? selector.replace(/&/g, scope) : `${scope} ${selector}`);
+            output += `${selectors.join(', ')} {${body}}\n`;
+        }
+    }
+    return output;
+}
+
+/** Last dropped-rules warning, so editing the CSS doesn't repeat it on every keystroke */
+let lastDroppedCssWarning = '';
+
+/**
+ * Write the scoped CSS of all custom styles into a single style element
+ */
+function updateCustomStyleSheet() {
+    let styleElement = document.getElementById(CUSTOM_STYLE_SHEET_ID);
+    if (!styleElement) {
+        styleElement = document.createElement('style');
+        styleElement.id = CUSTOM_STYLE_SHEET_ID;
+        document.head.appendChild(styleElement);
+    }
+    const warnings = [];
+    styleElement.textContent = getSettings().customStyles
+        .map(style => {
+            const dropped = [];
+            const css = scopeCss(style.css, `.typing_indicator_plus.typing-style-${style.id}`, dropped);
+            if (dropped.length) warnings.push(`"${style.name}": ${dropped.join(', ')}`);
+            return css;
+        })
+        .join('\n');
+
+    const warning = warnings.join('; ');
+    if (warning && warning !== lastDroppedCssWarning) {
+        console.warn(`[TIP+] Dropped at-rules that aren't allowed in custom style CSS: ${warning}`);
+    }
+    lastDroppedCssWarning = warning;
+}
+
+/**
+ * Fill a custom template's placeholders. Anything the template doesn't place (next up, stats, stop button) is appended.
+ * @param {{template: string}} customStyle Custom style
+ * @param {Object<string, string>} values Placeholder values
+ * @returns {string} HTML content
+ */
+function renderCustomTemplate(customStyle, values) {
+    let html = sanitizeCustomTemplate(customStyle.template);
+    for (const key of ['next_up', 'stats', 'stop_button']) {
+        if (!html.includes(`{{${key}}}`)) html += `{{${key}}}`;
+    }
+    html = html.replace(/\{\{(\w+)\}\}/g, (match, key) => key in values ? values[key] : match);
+    return `<div class="typing-content-wrapper typing-custom-wrapper">${html}</div>`;
+}
+
+/**
+ * Who the indicator is for. In group chats, the drafted member instead of whatever name2 currently is.
+ * @param {TypingIndicatorSettings} settings
+ * @param {boolean} isUser User indicator
+ * @returns {{name: string, groupMember: object|null}}
+ */
+function getIndicatorSpeaker(settings, isUser) {
+    const groupMember = !isUser && settings.groupChatSupport && selected_group && groupActiveAvatar
+        ? getCharacterByAvatar(groupActiveAvatar)
+        : null;
+
+    const name = isUser ? (name1 || 'You') : (groupMember?.name || name2 || 'Character');
+    return { name, groupMember };
+}
+
+// Private-use sentinels keep our own placeholders away from the macro engine and the escaping
+const NAME_SENTINEL = '\uE000name\uE001';
+const THINKING_TIME_SENTINEL = '\uE000thinking_time\uE001';
+const ELAPSED_SENTINEL = '\uE000elapsed\uE001';
+const TOKENS_SENTINEL = '\uE000tokens\uE001';
+
+// Texts after the macro engine ran, per indicator; cleared when that indicator is shown
+const resolvedTexts = { character: new Map(), user: new Map() };
+
+/**
+ * Indicator-specific macros, passed to SillyTavern's macro engine alongside the standard ones
+ * @returns {Object<string, string>} Macro values
+ */
+function getIndicatorMacros() {
+    const group = selected_group ? groups.find(g => g.id === selected_group) : null;
+    return {
+        elapsed: formatThinkingTime(Date.now() - streamStats.startedAt),
+        tokens: String(streamStats.tokens),
+        gen_type: currentGenerationType,
+        group_count: String(group?.members?.length ?? 0),
+    };
+}
+
+/**
+ * Evaluate the indicator text: pick the text for the current state, run SillyTavern macros, then escape it
+ * @param {TypingIndicatorSettings} settings
+ * @param {boolean} isUser User indicator
+ * @param {boolean} isThinking Character is thinking
+ * @returns {{text: string, textSuffix: string}} Safe HTML, with and without the name (Discord style)
+ */
+function buildIndicatorText(settings, isUser = false, isThinking = false) {
+    const { name } = getIndicatorSpeaker(settings, isUser);
+
+    const showEndState = !isUser && endState !== null;
+    const showStalledState = !isUser && isIndicatorStalled;
+    const showThinkingState = !isUser && isThinking && settings.showThinking;
+    const showThoughtSummary = !isUser && !isThinking && isShowingThoughtSummary;
+
+    // Priority: end state, manually set text (slash command), stalled, "Thought for" summary, then the status message
+    let template;
+    if (isUser) {
+        template = getStatusMessage(settings, 'user');
+    } else if (showEndState) {
+        template = settings[END_STATES[endState].textKey] || '';
+    } else if (textOverride !== null) {
+        template = textOverride;
+    } else if (showStalledState) {
+        template = settings.stalledText || '{{char}} seems stuck...';
+    } else if (showThoughtSummary) {
+        template = settings.thoughtSummaryText || 'Thought for {{thinking_time}}';
+    } else {
+        template = getStatusMessage(settings, showThinkingState ? 'thinking' : 'typing');
+    }
+
+    // Thinking time: {{thinking_time}} placeholder, or appended as a live counter while thinking
+    const thinkingTimeHTML = `<span class="typing-thinking-time">${formatThinkingTime(getThinkingElapsedMs())}</span>`;
+    if (showThinkingState && !showStalledState && !showEndState && settings.showThinkingTimer && !/\{\{thinking_time\}\}/i.test(template)) {
+        template += ` {{thinking_time}}`;
+    }
+
+    const namePlaceholder = isUser ? /\{\{user\}\}/gi : /\{\{char\}\}/gi;
+    let source = template
+        .replace(namePlaceholder, NAME_SENTINEL)
+        .replace(/\{\{thinking_time\}\}/gi, THINKING_TIME_SENTINEL)
+        .replace(/\{\{elapsed\}\}/gi, ELAPSED_SENTINEL)
+        .replace(/\{\{tokens\}\}/gi, TOKENS_SENTINEL);
+
+    // Resolve macros once per text, so {{random}} doesn't re-roll on every tick; only the live counters update
+    const resolved = resolvedTexts[isUser ? 'user' : 'character'];
+    const cacheKey = `${name}\n${source}`;
+    if (!resolved.has(cacheKey)) {
+        try {
+            resolved.set(cacheKey, substituteParams(source, name1, isUser ? name2 : name, undefined, undefined, true, getIndicatorMacros()));
+        } catch (error) {
+            console.warn('[TIP+] Macro evaluation failed', error);
+            resolved.set(cacheKey, source);
+        }
+    }
+    source = resolved.get(cacheKey);
+
+    const { elapsed, tokens } = getIndicatorMacros();
+    const html = formatIndicatorText(source)
+        .replaceAll(THINKING_TIME_SENTINEL, () => thinkingTimeHTML)
+        .replaceAll(ELAPSED_SENTINEL, () => escapeHtml(elapsed))
+        .replaceAll(TOKENS_SENTINEL, () => escapeHtml(tokens));
+    return {
+        text: html.replaceAll(NAME_SENTINEL, () => escapeHtml(name)),
+        textSuffix: html.replaceAll(NAME_SENTINEL, '').trim(),
+    };
+}
+
+/**
+ * Parse "seconds | text" escalation rules, one per line
+ * @param {string} source Rules text
+ * @returns {{afterMs: number, text: string}[]} Rules sorted by threshold
+ */
+function parseEscalationRules(source) {
+    return String(source || '').split('\n')
+        .map(line => line.match(/^\s*(\d+(?:\.\d+)?)\s*s?\s*\|\s*(.+?)\s*$/))
+        .filter(Boolean)
+        .map(match => ({ afterMs: Number(match[1]) * 1000, text: match[2] }))
+        .sort((a, b) => a.afterMs - b.afterMs);
+}
+
+/**
+ * Pick the current phrase of a rotation. The pick only changes when the interval step does.
+ * @param {string} state Rotation key (typing/thinking/user)
+ * @param {string[]} phrases Phrases to rotate through
+ * @param {number} elapsedMs Time spent in this state
+ * @param {TypingIndicatorSettings} settings
+ * @returns {string} Phrase
+ */
+function pickRotatingPhrase(state, phrases, elapsedMs, settings) {
+    const step = Math.floor(elapsedMs / (Math.max(1, settings.rotationIntervalSec) * 1000));
+    const current = phraseRotation[state];
+    if (current && current.step === step && current.count === phrases.length) {
+        return phrases[current.index];
+    }
+
+    let index = step % phrases.length;
+    if (settings.rotationOrder === 'random' && phrases.length > 1) {
+        // Never repeat the previous phrase
+        do {
+            index = Math.floor(Math.random() * phrases.length);
+        } while (index === current?.index);
+    }
+
+    phraseRotation[state] = { step, index, count: phrases.length };
+    return phrases[index];
+}
+
+/**
+ * Text for a state: the latest escalation rule whose time has passed, else the rotating phrase, else the configured text
+ * @param {TypingIndicatorSettings} settings
+ * @param {'typing'|'thinking'|'user'} state Indicator state
+ * @returns {string} Text template
+ */
+function getStatusMessage(settings, state) {
+    const fallback = {
+        typing: settings.customText || '{{char}} is typing...',
+        thinking: settings.customThinkingText || '{{char}} is thinking...',
+        user: settings.userCustomText || '{{user}} is typing...',
+    }[state];
+
+    const elapsedMs = {
+        typing: () => Date.now() - streamStats.startedAt,
+        thinking: () => getThinkingElapsedMs(),
+        user: () => userIndicatorShownAt ? Date.now() - userIndicatorShownAt : 0,
+    }[state]();
+
+    const escalation = parseEscalationRules(settings[`${state}Escalations`]).filter(rule => elapsedMs >= rule.afterMs).pop();
+    if (escalation) return escalation.text;
+
+    if (!settings.rotateMessages) return fallback;
+
+    const phrases = String(settings[`${state}Phrases`] || '').split('\n').map(line => line.trim()).filter(Boolean);
+    return phrases.length > 0 ? pickRotatingPhrase(state, phrases, elapsedMs, settings) : fallback;
+}
+
+/**
+ * Re-evaluate the text of a visible indicator in place (avatar and dots keep animating)
+ * @param {boolean} [isUser] Update the user indicator instead of the character one
+ */
+function updateIndicatorText(isUser = false) {
+    const indicator = document.getElementById(isUser ? 'typing_indicator_user' : 'typing_indicator_plus');
+    if (!indicator || (!isUser && !isIndicatorVisible)) return;
+
+    const { text, textSuffix } = buildIndicatorText(getEffectiveSettings(), isUser, !isUser && isCharThinking);
+    indicator.querySelectorAll('.typing-live-text').forEach(element => {
+        const html = element.classList.contains('suffix') ? textSuffix : text;
+        if (element.innerHTML !== html) element.innerHTML = html;
+    });
+}
+
 /**
  * Generate indicator HTML based on style
  * @param {TypingIndicatorSettings} settings
  * @returns {string} HTML content
  */
 function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
-    let name = isUser ? (name1 || 'You') : (name2 || 'Character');
+    const { name, groupMember } = getIndicatorSpeaker(settings, isUser);
+    // Names and URLs are always text; only the user-written texts may carry (limited) formatting
+    const safeName = escapeHtml(name);
 
-    // Group Chat support: If multiple characters are typing, update name
-    if (!isUser && settings.groupChatSupport && typingCharacters.size > 1) {
-        const names = Array.from(typingCharacters);
-        if (names.length === 2) {
-            name = `${names[0]} and ${names[1]}`;
-        } else {
-            name = `${names[0]} and ${names.length - 1} others`;
-        }
-    }
+    const showThinkingState = !isUser && isThinking && settings.showThinking;
+    const showThoughtSummary = !isUser && !isThinking && isShowingThoughtSummary;
 
-    const text = isUser
-        ? (settings.userCustomText || '{{user}} is typing...').replace(/\{\{user\}\}/gi, name)
-        : (isThinking && settings.showThinking
-            ? (settings.customThinkingText || '{{char}} is thinking...').replace(/{{char}}/gi, name)
-            : (settings.customText || '{{char}} is typing...').replace(/{{char}}/gi, name));
+    // Text spans are marked so updateIndicatorText() can re-evaluate macros without a full re-render
+    const liveText = buildIndicatorText(settings, isUser, isThinking);
+    const text = `<span class="typing-live-text">${liveText.text}</span>`;
 
     // For Discord style, we need common text without the name
-    const textSuffix = isUser
-        ? (settings.userCustomText || '{{user}} is typing...').replace(/{{user}}/gi, '').trim()
-        : (isThinking && settings.showThinking
-            ? (settings.customThinkingText || '{{char}} is thinking...').replace(/{{char}}/gi, '').trim()
-            : (settings.customText || '{{char}} is typing...').replace(/{{char}}/gi, '').trim());
+    const textSuffix = `<span class="typing-live-text suffix">${liveText.textSuffix}</span>`;
 
     // Generate name color styling
     const nameColor1 = isUser ? (settings.userNameColor || '#5cb85c') : (settings.charNameColor || '#738adb');
@@ -680,31 +2528,83 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
     const nameStyle = settings.nameGradient
         ? `background:linear-gradient(90deg,${nameColor1},${nameColor2});-webkit-background-clip:text;-webkit-text-fill-color:transparent;background-clip:text;`
         : `color:${nameColor1};`;
-    const styledName = `<span style="${nameStyle}font-weight:bold;">${name}</span>`;
+    const styledName = `<span style="${escapeHtml(nameStyle)}font-weight:bold;">${safeName}</span>`;
 
-    const avatarUrl = isUser
+    const rawAvatarUrl = isUser
         ? (settings.showUserAvatar ? getUserAvatar() : '')
-        : (settings.showAvatar ? getCharacterAvatar() : '');
-
-    // Use different dots/icon for thinking
-    const thinkingIconEmoji = settings.thinkingIcon || '🧠';
-    const dots = isThinking && settings.showThinking
-        ? `<div class="typing-thinking-icon">${thinkingIconEmoji}</div>`
-        : generateDotsAnimation(settings.animationTheme, settings.style);
+        : (settings.showAvatar ? (groupMember ? getThumbnailUrl('avatar', groupMember.avatar) : getCharacterAvatar()) : '');
+    const avatarUrl = isSafeImageUrl(rawAvatarUrl) ? rawAvatarUrl : '';
+
+    // Use different dots/icon for thinking and for the end states
+    const thinkingIconEmoji = escapeHtml(settings.thinkingIcon || '🧠');
+    let dots;
+    if (!isUser && endState !== null) {
+        dots = `<div class="typing-end-icon">${END_STATES[endState].icon}</div>`;
+    } else if (showThinkingState) {
+        dots = `<div class="typing-thinking-icon">${thinkingIconEmoji}</div>`;
+    } else if (showThoughtSummary) {
+        dots = `<div class="typing-thinking-icon done">${thinkingIconEmoji}</div>`;
+    } else {
+        dots = generateDotsAnimation(settings.animationTheme, settings.style);
+    }
 
-    const avatarHTML = avatarUrl ? `
+    let avatarHTML = avatarUrl ? `
         <div class="typing-avatar ${settings.style === 'pulsing_avatar' ? 'pulsing' : ''}">
-            <img src="${avatarUrl}" alt="${name}" onerror="this.style.display='none'" />
+            <img src="${escapeHtml(avatarUrl)}" alt="${safeName}" onerror="this.style.display='none'" />
         </div>
     ` : '';
 
+    // Group queue: stack the queued members' avatars behind the active one and name the next speaker
+    const queuedMembers = groupMember && settings.groupShowQueue
+        ? groupQueue.map(getCharacterByAvatar).filter(Boolean)
+        : [];
+
+    if (avatarHTML && queuedMembers.length > 0) {
+        const queuedAvatars = queuedMembers.slice(0, 3).map(member => `
+            <div class="typing-avatar typing-avatar-queued">
+                <img src="${escapeHtml(getThumbnailUrl('avatar', member.avatar))}" alt="${escapeHtml(member.name)}" onerror="this.style.display='none'" />
+            </div>
+        `).join('');
+        avatarHTML = `<div class="typing-avatar-stack">${avatarHTML}${queuedAvatars}</div>`;
+    }
+
+    const nextUpHTML = queuedMembers.length > 0
+        ? `<span class="typing-next-up">${t`Next:`} ${escapeHtml(queuedMembers[0].name)}${queuedMembers.length > 1 ? ` +${queuedMembers.length - 1}` : ''}</span>`
+        : '';
+
+    // Live generation stats (character only), compact for the small styles and on mobile
+    const statsHTML = !isUser && settings.showGenerationStats
+        ? `<span class="typing-stats${isCompactStats(settings) ? ' compact' : ''}">${formatGenerationStats(isCompactStats(settings))}</span>`
+        : '';
+
+    // One-click stop while stalled (clicks are handled on the indicator, see handleIndicatorClick)
+    const stopHTML = !isUser && isIndicatorStalled && settings.showStopButton
+        ? `<button type="button" class="typing-stop-button menu_button" title="${t`Stop generation`}"><i class="fa-solid fa-stop"></i> ${t`Stop`}</button>`
+        : '';
+
     // Fallback avatar with initial
     const fallbackAvatar = `
         <div class="typing-avatar pulsing placeholder">
-            <span>${name.charAt(0).toUpperCase()}</span>
+            <span>${escapeHtml(name.charAt(0).toUpperCase())}</span>
         </div>
     `;
 
+    const customStyle = getCustomStyle(settings.style, settings.customStyles);
+    if (customStyle) {
+        return renderCustomTemplate(customStyle, {
+            avatar: avatarHTML || (settings.showAvatar || settings.showUserAvatar ? fallbackAvatar : ''),
+            name: safeName,
+            styled_name: styledName,
+            text,
+            text_suffix: textSuffix,
+            dots,
+            thinking_icon: thinkingIconEmoji,
+            next_up: nextUpHTML,
+            stats: statsHTML,
+            stop_button: stopHTML,
+        });
+    }
+
     switch (settings.style) {
         case 'speech_bubble':
             return `
@@ -714,6 +2614,9 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
                         <span class="typing-text">${text}</span>
                         ${dots}
                     </div>
+                    ${nextUpHTML}
+                    ${statsHTML}
+                    ${stopHTML}
                 </div>
             `;
 
@@ -725,6 +2628,9 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
                         <span class="typing-text-small">${styledName}</span>
                         ${dots}
                     </div>
+                    ${nextUpHTML}
+                    ${statsHTML}
+                    ${stopHTML}
                 </div>
             `;
 
@@ -733,6 +2639,9 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
                 <div class="typing-content-wrapper typing-pulsing-wrapper">
                     ${avatarHTML || fallbackAvatar}
                     <span class="typing-text">${text}</span>
+                    ${nextUpHTML}
+                    ${statsHTML}
+                    ${stopHTML}
                 </div>
             `;
 
@@ -742,6 +2651,9 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
                     ${avatarHTML || (settings.showAvatar || settings.showUserAvatar ? fallbackAvatar : '')}
                     <span class="typing-text-fade">${text}</span>
                     ${dots}
+                    ${nextUpHTML}
+                    ${statsHTML}
+                    ${stopHTML}
                 </div>
             `;
 
@@ -750,6 +2662,9 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
                 <div class="typing-content-wrapper typing-minimal-wrapper">
                     <span class="typing-text-minimal">${text}</span>
                     ${dots}
+                    ${nextUpHTML}
+                    ${statsHTML}
+                    ${stopHTML}
                 </div>
             `;
 
@@ -761,6 +2676,9 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
                         <span class="typing-text-discord">${styledName} ${textSuffix}</span>
                         ${dots}
                     </div>
+                    ${nextUpHTML}
+                    ${statsHTML}
+                    ${stopHTML}
                 </div>
             `;
 
@@ -771,182 +2689,856 @@ function generateIndicatorHTML(settings, isUser = false, isThinking = false) {
                     ${avatarHTML || (settings.showAvatar || settings.showUserAvatar ? fallbackAvatar : '')}
                     <span class="typing-text">${text}</span>
                     ${dots}
+                    ${nextUpHTML}
+                    ${statsHTML}
+                    ${stopHTML}
                 </div>
             `;
     }
 }
 
 /**
- * Shows a typing indicator in the chat.
- * @param {string} type Generation type
- * @param {any} _args Generation arguments
- * @param {boolean} dryRun Is this a dry run?
+ * Shows a typing indicator in the chat.
+ * @param {string} type Generation type
+ * @param {any} _args Generation arguments
+ * @param {boolean} dryRun Is this a dry run?
+ */
+function showTypingIndicator(type, _args, dryRun) {
+    const settings = getEffectiveSettings();
+    const noIndicatorTypes = ['quiet', 'impersonate'];
+
+    if (noIndicatorTypes.includes(type) || dryRun) {
+        return;
+    }
+
+    // A real generation takes over from a running simulation
+    if (type !== 'simulation') {
+        stopSimulation(false);
+    }
+
+    if (!settings.enabled || !name2) {
+        return;
+    }
+
+    // Clear any existing timers
+    clearTimers();
+
+    // Rejoice Flow: Start as "Typing" until thinking is specifically detected
+    isCharThinking = false;
+    isIndicatorStalled = false;
+    streamStats = createStreamStats();
+    currentGenerationType = type || 'normal';
+    phraseRotation = { ...phraseRotation, typing: null, thinking: null };
+    resolvedTexts.character.clear();
+
+    // Cancel a pending removal (or end state) so a hiding indicator can be reused
+    if (hideTimeout) {
+        clearTimeout(hideTimeout);
+        hideTimeout = null;
+    }
+    if (endStateTimeout) {
+        clearTimeout(endStateTimeout);
+        endStateTimeout = null;
+    }
+    endState = null;
+    generationReplied = false;
+
+    const htmlContent = generateIndicatorHTML(settings, false, isCharThinking);
+
+    // Check if indicator already exists
+    let typingIndicator = document.getElementById('typing_indicator_plus');
+
+    if (typingIndicator) {
+        // Update existing in place (e.g. next group member) - no hide/show flicker
+        typingIndicator.innerHTML = htmlContent;
+        typingIndicator.className = `${getIndicatorClassName(settings)} visible`;
+    } else {
+        // Create new indicator
+        typingIndicator = document.createElement('div');
+        typingIndicator.id = 'typing_indicator_plus';
+        typingIndicator.className = getIndicatorClassName(settings);
+        typingIndicator.innerHTML = htmlContent;
+        typingIndicator.addEventListener('click', handleIndicatorClick);
+
+        const chat = document.getElementById('chat');
+        if (!chat) return;
+
+        // Check scroll position BEFORE adding
+        const scrollThreshold = 100;
+        const wasAtBottom = chat.scrollHeight - chat.scrollTop - chat.clientHeight < scrollThreshold;
+
+        // Add to chat
+        chat.appendChild(typingIndicator);
+
+        // Force reflow then add visible class for animation
+        typingIndicator.offsetHeight;
+        typingIndicator.classList.add('visible');
+
+        // Scroll to bottom if was at bottom
+        if (wasAtBottom) {
+            requestAnimationFrame(() => {
+                chat.scrollTop = chat.scrollHeight;
+            });
+        }
+    }
+
+    const wasVisible = isIndicatorVisible;
+    isIndicatorVisible = true;
+    isIndicatorPaused = false;
+    applyIndicatorGlow(typingIndicator, settings);
+
+    if (!wasVisible) {
+        emitIndicatorEvent('shown', { type });
+    }
+
+    // Play sound if enabled (in token sync mode, sounds come from handleStreamToken instead)
+    if (settings.soundEnabled && settings.soundSyncMode !== 'tokens') {
+        if (settings.soundOnStreamStart) {
+            // Defer sound until streaming starts
+            soundsPendingStream = true;
+        } else {
+            // Play immediately
+            startTypingSounds(settings);
+        }
+    }
+
+    // Start thinking detection (the DOM observer only reacts to NEW elements)
+    startThinkingDetectors(settings);
+
+    if (settings.syncAnimationSpeed) {
+        updateAnimationSpeed();
+        animationSpeedInterval = setInterval(updateAnimationSpeed, 500);
+    }
+
+    if (settings.showGenerationStats) {
+        statsInterval = setInterval(updateStatsLine, 500);
+    }
+
+    textInterval = setInterval(updateIndicatorText, 1000);
+    updateTabActivity();
+
+    // Manual and simulated indicators have no stream to wait for
+    if (settings.stallDetection && type !== 'manual' && type !== 'simulation') {
+        stallCheckInterval = setInterval(checkForStall, 1000);
+    }
+
+    // Simulate pauses
+    if (settings.simulatePauses && !isCharThinking) {
+        schedulePause(settings);
+    }
+}
+
+/**
+ * Build the class list of the character indicator for the given settings
+ * @param {TypingIndicatorSettings} settings
+ * @returns {string} Class names
+ */
+function getIndicatorClassName(settings) {
+    return `typing_indicator_plus typing-position-${settings.position} typing-style-${settings.style} typing-theme-${settings.animationTheme}`;
+}
+
+/**
+ * Apply the character glow color (or disable glow)
+ * @param {HTMLElement} indicator Indicator element
+ * @param {TypingIndicatorSettings} settings
+ */
+function applyIndicatorGlow(indicator, settings) {
+    indicator.style.setProperty('--indicator-glow', settings.glowEnabled !== false ? settings.glowColor : 'transparent');
+}
+
+/**
+ * Re-render the visible character indicator in place, keeping timers and sounds running
+ */
+function refreshIndicator() {
+    const indicator = document.getElementById('typing_indicator_plus');
+    if (!indicator || !isIndicatorVisible) return;
+
+    const settings = getEffectiveSettings();
+    indicator.innerHTML = generateIndicatorHTML(settings, false, isCharThinking);
+    indicator.className = `${getIndicatorClassName(settings)} visible`;
+    applyIndicatorGlow(indicator, settings);
+
+    if (endState) {
+        indicator.classList.add(`ended-${endState}`);
+        indicator.style.setProperty('--indicator-glow', END_STATES[endState].color);
+    } else if (isIndicatorStalled) {
+        indicator.classList.add('stalled');
+        indicator.style.setProperty('--indicator-glow', settings.stalledColor || '#f0ad4e');
+    }
+
+    updateTabActivity();
+}
+
+/**
+ * End the current generation. Stopped and failed generations briefly show their end state before fading out.
+ * @param {'success'|'stopped'|'failed'} outcome How the generation ended
+ */
+function endTypingIndicator(outcome) {
+    // Already showing how it ended (e.g. GENERATION_ENDED right after GENERATION_STOPPED)
+    if (endState) return;
+
+    const settings = getEffectiveSettings();
+
+    // The sound pack's completion sound, for a reply that actually arrived
+    if (outcome === 'success' && isIndicatorVisible && settings.soundEnabled) {
+        playPackSound(settings.soundTheme, 'complete', settings.soundVolume);
+    }
+    const config = END_STATES[outcome];
+    if (!config || !settings.showEndStates || !isIndicatorVisible || !document.getElementById('typing_indicator_plus')) {
+        hideTypingIndicator();
+        return;
+    }
+
+    clearTimers();
+    textOverride = null;
+    endState = outcome;
+    refreshIndicator();
+
+    if (settings[config.soundKey]) {
+        playEndStateSound(outcome, settings.soundVolume);
+    }
+
+    emitIndicatorEvent(outcome);
+    console.log(`[TIP+] Generation ${outcome}`);
+
+    endStateTimeout = setTimeout(() => {
+        endStateTimeout = null;
+        hideTypingIndicator();
+    }, settings[config.durationKey]);
+}
+
+/**
+ * Check the time since the last stream progress against the stall thresholds
+ */
+function checkForStall() {
+    if (!isIndicatorVisible || isIndicatorStalled) return;
+
+    const settings = getEffectiveSettings();
+    // Before the first token, wait from generation start; after it, from the latest token
+    const [since, thresholdSec] = streamStats.firstTokenAt
+        ? [streamStats.lastTokenAt, settings.stallTokenGapSec]
+        : [streamStats.startedAt, settings.stallFirstTokenSec];
+
+    if (thresholdSec > 0 && Date.now() - since >= thresholdSec * 1000) {
+        setStalled(true, settings);
+    }
+}
+
+/**
+ * Enter or leave the stalled state. While stalled, sounds are stopped and the indicator shows its own text and color.
+ * @param {boolean} stalled Stalled
+ * @param {TypingIndicatorSettings} [settings]
+ */
+function setStalled(stalled, settings = getEffectiveSettings()) {
+    if (stalled === isIndicatorStalled || !isIndicatorVisible) return;
+    isIndicatorStalled = stalled;
+
+    if (stalled) {
+        stopTypingSounds();
+        pendingTokenClicks = 0;
+    } else if (settings.soundEnabled && settings.soundSyncMode !== 'tokens') {
+        startTypingSounds(settings);
+    }
+
+    refreshIndicator();
+
+    const idleMs = Date.now() - (streamStats.lastTokenAt || streamStats.startedAt);
+    if (stalled) {
+        emitIndicatorEvent('stalled', { idleMs, firstToken: Boolean(streamStats.firstTokenAt) });
+    } else {
+        emitIndicatorEvent(isCharThinking ? 'thinking' : 'typing');
+    }
+    console.log(`[TIP+] ${stalled ? `Generation stalled (no progress for ${formatDuration(idleMs)})` : 'Generation resumed'}`);
+}
+
+/**
+ * Handle clicks on the indicator (Stop button of the stalled state)
+ * @param {MouseEvent} event Click event
+ */
+function handleIndicatorClick(event) {
+    if (!(event.target instanceof Element) || !event.target.closest('.typing-stop-button')) return;
+
+    console.log('[TIP+] Stop requested from the stalled indicator');
+    stopGeneration();
+}
+
+/**
+ * Show the typing text in the tab title (and animate the tab icon) while the indicator is visible
+ * and the window is in the background; restore both otherwise
+ */
+function updateTabActivity() {
+    const settings = getEffectiveSettings();
+    const isActive = settings.enabled && isIndicatorVisible && !endState && !document.hasFocus();
+
+    if (isActive && settings.tabTitleActivity) {
+        if (savedDocumentTitle === null) savedDocumentTitle = document.title;
+        activityTitle = buildTabTitle(settings);
+        document.title = activityTitle;
+    } else if (savedDocumentTitle !== null) {
+        // Keep a title SillyTavern set in the meantime (e.g. after a character switch)
+        if (document.title === activityTitle) document.title = savedDocumentTitle;
+        savedDocumentTitle = null;
+        activityTitle = null;
+    }
+
+    if (isActive && settings.animateFavicon) {
+        startFaviconAnimation(settings);
+    } else {
+        stopFaviconAnimation();
+    }
+}
+
+/**
+ * Plain-text tab title from the tabTitleText template
+ * @param {TypingIndicatorSettings} settings
+ * @returns {string} Title
+ */
+function buildTabTitle(settings) {
+    const { name } = getIndicatorSpeaker(settings, false);
+    const template = settings.tabTitleText || '{{char}} is typing…';
+    try {
+        return substituteParams(template, name1, name, undefined, undefined, true, getIndicatorMacros());
+    } catch (error) {
+        console.warn('[TIP+] Macro evaluation failed', error);
+        return template.replace(/\{\{char\}\}/gi, name);
+    }
+}
+
+/**
+ * Draw a frame of the typing-dots tab icon
+ * @param {number} frame Frame number; the highlighted dot moves along
+ * @param {string} color Background color
+ * @returns {string} PNG data URL
+ */
+function drawFaviconFrame(frame, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(16, 16, 15, 0, Math.PI * 2);
+    ctx.fill();
+
+    for (let i = 0; i < 3; i++) {
+        ctx.fillStyle = i === frame % 3 ? '#ffffff' : 'rgba(255, 255, 255, 0.45)';
+        ctx.beginPath();
+        ctx.arc(8 + i * 8, 16, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Replace the tab icon with animated typing dots
+ * @param {TypingIndicatorSettings} settings
+ */
+function startFaviconAnimation(settings) {
+    if (faviconInterval) return;
+
+    let link = document.querySelector('link[rel~="icon"]');
+    savedFavicon = { link, href: link?.getAttribute('href') ?? null, created: !link };
+    if (!link) {
+        link = document.createElement('link');
+        link.rel = 'icon';
+        document.head.append(link);
+        savedFavicon.link = link;
+    }
+
+    // Pre-render the frames; toDataURL is too slow to call on every tick
+    const frames = [0, 1, 2].map(frame => drawFaviconFrame(frame, settings.glowColor || '#738adb'));
+    let frame = 0;
+    link.href = frames[0];
+    faviconInterval = setInterval(() => {
+        frame = (frame + 1) % frames.length;
+        link.href = frames[frame];
+    }, FAVICON_FRAME_MS);
+}
+
+/**
+ * Put the original tab icon back
+ */
+function stopFaviconAnimation() {
+    if (!faviconInterval) return;
+    clearInterval(faviconInterval);
+    faviconInterval = null;
+
+    const { link, href, created } = savedFavicon;
+    if (created) {
+        link.remove();
+    } else if (href !== null) {
+        link.setAttribute('href', href);
+    }
+    savedFavicon = null;
+}
+
+/**
+ * Send a desktop notification for the reply of the generation that just ended, if the window is in the background.
+ * Clicking it focuses the tab and scrolls to the message.
+ */
+function notifyReply() {
+    const messageId = replyMessageId;
+    replyMessageId = null;
+
+    const settings = getSettings();
+    if (!settings.enabled || !settings.desktopNotifications || document.hasFocus()) return;
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const message = chat[messageId];
+    if (!message || message.is_user || message.is_system) return;
+
+    // First non-empty line of the reply, as plain text
+    const firstLine = String(message.mes ?? '')
+        .replace(/<[^>]*>/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .find(Boolean) ?? '';
+
+    try {
+        const notification = new Notification(message.name || name2, {
+            body: firstLine.length > 160 ? `${firstLine.slice(0, 159)}…` : firstLine,
+            icon: getCharacterAvatar() || undefined,
+            tag: MODULE,
+        });
+        notification.addEventListener('click', () => {
+            window.focus();
+            notification.close();
+            document.querySelector(`#chat .mes[mesid="${messageId}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    } catch (e) {
+        console.warn('[TIP+] Desktop notification failed', e);
+    }
+}
+
+/**
+ * A character message was rendered: play the receive sound for a freshly generated one.
+ * Messages rendered while loading a chat or editing don't make a sound.
+ * @param {number|string} messageId Chat index of the message
+ */
+function handleCharacterMessageRendered(messageId) {
+    if (receiveSoundMessageId === null || Number(messageId) !== Number(receiveSoundMessageId)) return;
+    receiveSoundMessageId = null;
+    playMessageSound('receive');
+}
+
+/**
+ * Start typing sounds (called immediately or on stream start)
+ */
+function startTypingSounds(settings) {
+    if (soundInterval) return; // Already playing
+
+    playTypingSound(settings.soundVolume, settings.soundTheme);
+
+    // Schedule repeating sounds with optional dynamic rhythm
+    const scheduleNextSound = () => {
+        if (!isIndicatorVisible || !settings.soundEnabled) return;
+
+        const interval = settings.dynamicRhythm
+            ? 150 + Math.random() * 450  // 150-600ms varied
+            : 300 + Math.random() * 200; // 300-500ms standard
+
+        soundInterval = setTimeout(() => {
+            if (isIndicatorVisible && settings.soundEnabled) {
+                playTypingSound(settings.soundVolume * (0.6 + Math.random() * 0.4), settings.soundTheme);
+                scheduleNextSound();
+            }
+        }, interval);
+    };
+
+    scheduleNextSound();
+}
+
+/**
+ * Stop the repeating character typing sounds
+ */
+function stopTypingSounds() {
+    if (soundInterval) {
+        clearTimeout(soundInterval);
+        soundInterval = null;
+    }
+    soundsPendingStream = false;
+}
+
+/**
+ * Handle streaming token received - trigger sounds if pending, or play token-synced clicks
+ * @param {string} text Full message text streamed so far
+ */
+function handleStreamToken(text) {
+    const delta = recordStreamToken(text);
+    if (!isIndicatorVisible) return;
+
+    const settings = getEffectiveSettings();
+
+    // Tokens are flowing again
+    if (isIndicatorStalled) {
+        setStalled(false, settings);
+    }
+
+    if (settings.soundSyncMode === 'tokens') {
+        if (settings.soundEnabled) {
+            queueTokenSounds(delta, settings);
+        }
+    } else if (soundsPendingStream && settings.soundEnabled) {
+        soundsPendingStream = false;
+        startTypingSounds(settings);
+    }
+
+    if (settings.syncAnimationSpeed) {
+        updateAnimationSpeed();
+    }
+
+    checkStreamForThinking(text, settings);
+
+    if (settings.showGenerationStats) {
+        updateStatsLine();
+    }
+}
+
+/**
+ * Queue clicks for newly streamed text: one per word, or one per N characters
+ * @param {string} delta Newly streamed text
+ * @param {TypingIndicatorSettings} settings
+ */
+function queueTokenSounds(delta, settings) {
+    let clicks;
+
+    if (settings.tokenSoundChars > 0) {
+        tokenCharBudget += delta.length;
+        clicks = Math.floor(tokenCharBudget / settings.tokenSoundChars);
+        tokenCharBudget %= settings.tokenSoundChars;
+    } else {
+        // Count word starts, including a word that began in the previous chunk's boundary
+        clicks = ((streamStats.lastChar + delta).match(/\s\S/g) || []).length;
+    }
+
+    if (delta.length > 0) {
+        streamStats.lastChar = delta.slice(-1);
+    }
+
+    // Cap the backlog so clicks stop soon after the stream stalls
+    pendingTokenClicks = Math.min(MAX_PENDING_TOKEN_CLICKS, pendingTokenClicks + clicks);
+    drainTokenSounds(settings);
+}
+
+/**
+ * Play queued token clicks, no faster than tokenSoundMinIntervalMs
+ * @param {TypingIndicatorSettings} settings
+ */
+function drainTokenSounds(settings) {
+    if (tokenSoundTimeout || pendingTokenClicks === 0) return;
+
+    const wait = Math.max(0, lastTokenClickAt + settings.tokenSoundMinIntervalMs - Date.now());
+    tokenSoundTimeout = setTimeout(() => {
+        tokenSoundTimeout = null;
+        if (!isIndicatorVisible || !settings.soundEnabled) {
+            pendingTokenClicks = 0;
+            return;
+        }
+
+        pendingTokenClicks--;
+        lastTokenClickAt = Date.now();
+        playTypingSound(settings.soundVolume * (0.7 + Math.random() * 0.3), settings.soundTheme);
+        drainTokenSounds(settings);
+    }, wait);
+}
+
+/**
+ * Scale the dot animation speed with the measured tokens per second.
+ * Slows down to half speed when the stream stalls.
+ */
+function updateAnimationSpeed() {
+    const indicator = document.getElementById('typing_indicator_plus');
+    if (!indicator) return;
+
+    const speed = streamStats.firstTokenAt
+        ? Math.min(2.5, Math.max(0.5, getTokensPerSecond() / TOKEN_RATE_REFERENCE))
+        : 1;
+    indicator.style.setProperty('--tip-anim-speed', speed.toFixed(2));
+}
+
+function clearTimers() {
+    if (pauseTimeout) {
+        clearTimeout(pauseTimeout);
+        pauseTimeout = null;
+    }
+    if (soundInterval) {
+        clearTimeout(soundInterval); // Changed to clearTimeout for dynamic scheduling
+        soundInterval = null;
+    }
+    if (tokenSoundTimeout) {
+        clearTimeout(tokenSoundTimeout);
+        tokenSoundTimeout = null;
+    }
+    if (animationSpeedInterval) {
+        clearInterval(animationSpeedInterval);
+        animationSpeedInterval = null;
+    }
+    if (statsInterval) {
+        clearInterval(statsInterval);
+        statsInterval = null;
+    }
+    if (textInterval) {
+        clearInterval(textInterval);
+        textInterval = null;
+    }
+    if (stallCheckInterval) {
+        clearInterval(stallCheckInterval);
+        stallCheckInterval = null;
+    }
+    pendingTokenClicks = 0;
+    tokenCharBudget = 0;
+    clearThinkingTimers();
+    stopThinkingDetectors();
+    // Always reset flags when clearing
+    isCharThinking = false;
+    isIndicatorStalled = false;
+    soundsPendingStream = false;
+}
+
+/**
+ * Format a thinking duration for the counter and the "Thought for" summary
+ * @param {number} ms Duration in milliseconds
+ * @returns {string} e.g. "12s" or "1m 05s"
+ */
+function formatThinkingTime(ms) {
+    const seconds = Math.floor(Math.max(0, ms) / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Get how long the character has been thinking, or thought for the last time
+ * @returns {number} Duration in milliseconds
+ */
+function getThinkingElapsedMs() {
+    return isCharThinking ? Date.now() - thinkingStartedAt : lastThinkingMs;
+}
+
+/**
+ * Switch the character between thinking and typing.
+ * Times the reasoning, ticks the live counter and shows the "Thought for Ns" summary.
+ * @param {boolean} thinking New state
+ */
+function setCharThinking(thinking) {
+    if (thinking === isCharThinking) return;
+
+    const settings = getEffectiveSettings();
+    isCharThinking = thinking;
+    clearThinkingTimers();
+
+    if (thinking) {
+        thinkingStartedAt = Date.now();
+        thinkingTimerInterval = setInterval(() => {
+            document.querySelectorAll('#typing_indicator_plus .typing-thinking-time').forEach(el => {
+                el.textContent = formatThinkingTime(getThinkingElapsedMs());
+            });
+        }, 1000);
+    } else {
+        lastThinkingMs = Date.now() - thinkingStartedAt;
+
+        // Briefly show "Thought for Ns" before going back to typing
+        if (settings.showThinking && settings.showThoughtSummary && lastThinkingMs >= 1000) {
+            isShowingThoughtSummary = true;
+            thoughtSummaryTimeout = setTimeout(() => {
+                thoughtSummaryTimeout = null;
+                isShowingThoughtSummary = false;
+                refreshIndicator();
+            }, THOUGHT_SUMMARY_MS);
+        }
+    }
+
+    refreshIndicator();
+    emitIndicatorEvent(thinking ? 'thinking' : 'typing', thinking ? { detector: activeThinkingDetector } : { thinkingMs: lastThinkingMs });
+    console.log(`[TIP+] Indicator UI updated (${thinking ? 'thinking' : `typing, thought for ${formatThinkingTime(lastThinkingMs)}`})`);
+}
+
+/**
+ * Stop the thinking counter and a pending "Thought for" summary
+ */
+function clearThinkingTimers() {
+    if (thinkingTimerInterval) {
+        clearInterval(thinkingTimerInterval);
+        thinkingTimerInterval = null;
+    }
+    if (thoughtSummaryTimeout) {
+        clearTimeout(thoughtSummaryTimeout);
+        thoughtSummaryTimeout = null;
+    }
+    isShowingThoughtSummary = false;
+}
+
+/**
+ * Thinking detectors. Each can be switched on/off in the settings and reports
+ * through reportThinking(); the character is thinking while any detector says so.
  */
-function showTypingIndicator(type, _args, dryRun) {
-    const settings = getSettings();
-    const noIndicatorTypes = ['quiet', 'impersonate'];
+const THINKING_DETECTORS = {
+    dom: { label: 'Reasoning block', settingsKey: 'thinkingDetectDom' },
+    markers: { label: 'Stream markers', settingsKey: 'thinkingDetectMarkers' },
+    gap: { label: 'First-token gap', settingsKey: 'thinkingDetectGap' },
+};
 
-    if (noIndicatorTypes.includes(type) || dryRun) {
+/**
+ * Start all enabled thinking detectors for a new generation
+ * @param {TypingIndicatorSettings} settings
+ */
+function startThinkingDetectors(settings) {
+    if (!settings.showThinking) {
+        console.log('[TIP+] showThinking is disabled, skipping thinking detection');
         return;
     }
 
-    if (!settings.enabled || !name2) {
-        return;
+    if (settings.thinkingDetectDom) {
+        initThinkingObserver();
     }
 
-    // Clear any existing timers
-    clearTimers();
-
-    // Rejoice Flow: Start as "Typing" until thinking is specifically detected
-    isCharThinking = false;
-
-    // Track character for group chat
-    if (settings.groupChatSupport && _args && _args.character_name) {
-        typingCharacters.add(_args.character_name);
+    if (settings.thinkingDetectMarkers) {
+        thinkingMarkers = {
+            start: compileThinkingMarkers(settings.thinkingStartMarkers),
+            end: compileThinkingMarkers(settings.thinkingEndMarkers),
+        };
     }
 
-    const htmlContent = generateIndicatorHTML(settings, false, isCharThinking);
-    const positionClass = `typing-position-${settings.position}`;
-    const styleClass = `typing-style-${settings.style}`;
-    const themeClass = `typing-theme-${settings.animationTheme}`;
-
-    // Check if indicator already exists
-    let typingIndicator = document.getElementById('typing_indicator_plus');
-
-    if (typingIndicator) {
-        // Update existing
-        typingIndicator.innerHTML = htmlContent;
-        typingIndicator.className = `typing_indicator_plus ${positionClass} ${styleClass} ${themeClass} visible`;
-        return;
+    // Heuristic: a long silence before the first token usually means hidden reasoning
+    if (settings.thinkingDetectGap) {
+        thinkingGapTimeout = setTimeout(() => {
+            thinkingGapTimeout = null;
+            if (isIndicatorVisible && !streamStats.firstTokenAt) {
+                reportThinking('gap', true);
+            }
+        }, settings.thinkingGapMs);
     }
+}
 
-    // Create new indicator
-    typingIndicator = document.createElement('div');
-    typingIndicator.id = 'typing_indicator_plus';
-    typingIndicator.className = `typing_indicator_plus ${positionClass} ${styleClass} ${themeClass} `;
-    typingIndicator.innerHTML = htmlContent;
-
-    const chat = document.getElementById('chat');
-    if (!chat) return;
-
-    // Check scroll position BEFORE adding
-    const scrollThreshold = 100;
-    const wasAtBottom = chat.scrollHeight - chat.scrollTop - chat.clientHeight < scrollThreshold;
-
-    // Add to chat
-    chat.appendChild(typingIndicator);
-    isIndicatorVisible = true;
-
-    // Apply character glow color (or disable glow)
-    if (settings.glowEnabled !== false) {
-        typingIndicator.style.setProperty('--indicator-glow', settings.glowColor);
-    } else {
-        typingIndicator.style.setProperty('--indicator-glow', 'transparent');
+/**
+ * Stop all thinking detectors and forget their state
+ */
+function stopThinkingDetectors() {
+    if (thinkingObserver) {
+        thinkingObserver.disconnect();
+        thinkingObserver = null;
     }
-
-    // Force reflow then add visible class for animation
-    typingIndicator.offsetHeight;
-    typingIndicator.classList.add('visible');
-
-    // Scroll to bottom if was at bottom
-    if (wasAtBottom) {
-        requestAnimationFrame(() => {
-            chat.scrollTop = chat.scrollHeight;
-        });
+    if (thinkingGapTimeout) {
+        clearTimeout(thinkingGapTimeout);
+        thinkingGapTimeout = null;
     }
+    thinkingMarkers = null;
+    thinkingDetectorStates.clear();
+    activeThinkingDetector = null;
+}
 
-    // Play sound if enabled
-    if (settings.soundEnabled) {
-        if (settings.soundOnStreamStart) {
-            // Defer sound until streaming starts
-            soundsPendingStream = true;
-        } else {
-            // Play immediately
-            startTypingSounds(settings);
+/**
+ * Record a detector's verdict and switch the indicator if the combined state changed
+ * @param {string} detector Detector ID (key of THINKING_DETECTORS)
+ * @param {boolean} thinking Whether this detector sees thinking
+ */
+function reportThinking(detector, thinking) {
+    if (thinking) {
+        thinkingDetectorStates.add(detector);
+        activeThinkingDetector = detector;
+        lastThinkingDetector = detector;
+    } else {
+        thinkingDetectorStates.delete(detector);
+        if (activeThinkingDetector === detector) {
+            activeThinkingDetector = [...thinkingDetectorStates].pop() ?? null;
         }
     }
 
-    // Start thinking detection observer (only reacts to NEW elements)
-    initThinkingObserver();
-
-    // Simulate pauses
-    if (settings.simulatePauses && !isCharThinking) {
-        schedulePause(settings);
+    const anyThinking = thinkingDetectorStates.size > 0;
+    if (anyThinking !== isCharThinking) {
+        setCharThinking(anyThinking);
     }
+
+    refreshDetectorStatus?.();
 }
 
 /**
- * Handle message chunk events
+ * Parse user markers: one per line, plain text or /regex/flags
+ * @param {string} source Markers, one per line
+ * @returns {(string|RegExp)[]} Lower-cased strings and global regexes
  */
-function handleMessageChunk() {
-    // No longer needed for watchdog, but keeping for potential future use
+function compileThinkingMarkers(source) {
+    const markers = [];
+
+    for (const line of String(source || '').split('\n')) {
+        const marker = line.trim();
+        if (!marker) continue;
+
+        const regexMatch = marker.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            try {
+                markers.push(new RegExp(regexMatch[1], regexMatch[2].replace('g', '') + 'g'));
+            } catch (e) {
+                console.warn(`[TIP+] Invalid thinking marker regex: ${marker}`, e);
+            }
+        } else {
+            markers.push(marker.toLowerCase());
+        }
+    }
+
+    return markers;
 }
 
 /**
- * Start typing sounds (called immediately or on stream start)
+ * Find where the last occurrence of any marker starts
+ * @param {string} text Streamed text
+ * @param {string} lowerText Lower-cased streamed text
+ * @param {(string|RegExp)[]} markers Compiled markers
+ * @returns {number} Index, or -1 if none matched
  */
-function startTypingSounds(settings) {
-    if (soundInterval) return; // Already playing
-
-    playTypingSound(settings.soundVolume, settings.soundTheme);
-
-    // Schedule repeating sounds with optional dynamic rhythm
-    const scheduleNextSound = () => {
-        if (!isIndicatorVisible || !settings.soundEnabled) return;
-
-        const interval = settings.dynamicRhythm
-            ? 150 + Math.random() * 450  // 150-600ms varied
-            : 300 + Math.random() * 200; // 300-500ms standard
+function findLastMarker(text, lowerText, markers) {
+    let last = -1;
 
-        soundInterval = setTimeout(() => {
-            if (isIndicatorVisible && settings.soundEnabled) {
-                playTypingSound(settings.soundVolume * (0.6 + Math.random() * 0.4), settings.soundTheme);
-                scheduleNextSound();
+    for (const marker of markers) {
+        if (typeof marker === 'string') {
+            last = Math.max(last, lowerText.lastIndexOf(marker));
+        } else {
+            marker.lastIndex = 0;
+            for (const match of text.matchAll(marker)) {
+                last = Math.max(last, match.index);
             }
-        }, interval);
-    };
+        }
+    }
 
-    scheduleNextSound();
+    return last;
 }
 
 /**
- * Handle streaming token received - trigger sounds if pending
+ * Run the stream-based detectors on the text streamed so far
+ * @param {string} text Full message text streamed so far
+ * @param {TypingIndicatorSettings} settings
  */
-function handleStreamToken() {
-    const settings = getSettings();
-    if (soundsPendingStream && isIndicatorVisible && settings.soundEnabled) {
-        soundsPendingStream = false;
-        startTypingSounds(settings);
+function checkStreamForThinking(text, settings) {
+    if (!settings.showThinking || typeof text !== 'string') return;
+
+    // First-token gap: tokens are flowing, so the silent phase is over
+    if (settings.thinkingDetectGap) {
+        if (thinkingGapTimeout) {
+            clearTimeout(thinkingGapTimeout);
+            thinkingGapTimeout = null;
+        }
+        if (thinkingDetectorStates.has('gap')) {
+            reportThinking('gap', false);
+        }
     }
-}
 
-function clearTimers() {
-    if (pauseTimeout) {
-        clearTimeout(pauseTimeout);
-        pauseTimeout = null;
-    }
-    if (soundInterval) {
-        clearTimeout(soundInterval); // Changed to clearTimeout for dynamic scheduling
-        soundInterval = null;
-    }
-    if (thinkingObserver) {
-        thinkingObserver.disconnect();
-        thinkingObserver = null;
+    // Stream markers: thinking while the last start marker comes after the last end marker
+    if (thinkingMarkers && thinkingMarkers.start.length > 0) {
+        const lowerText = text.toLowerCase();
+        const lastStart = findLastMarker(text, lowerText, thinkingMarkers.start);
+        const lastEnd = findLastMarker(text, lowerText, thinkingMarkers.end);
+        const thinking = lastStart !== -1 && lastStart > lastEnd;
+
+        if (thinking !== thinkingDetectorStates.has('markers')) {
+            reportThinking('markers', thinking);
+        }
     }
-    // Always reset flags when clearing
-    isCharThinking = false;
-    soundsPendingStream = false;
 }
 
 /**
  * Initialize MutationObserver for thinking icon detection
  */
 function initThinkingObserver() {
-    const settings = getSettings();
-    if (!settings.showThinking) {
-        console.log('[TIP+] showThinking is disabled, skipping observer');
-        return;
-    }
     if (thinkingObserver) {
         console.log('[TIP+] Observer already running');
         return;
@@ -987,8 +3579,7 @@ function initThinkingObserver() {
                         // Verify it's not already done (e.g. re-rendering old message)
                         // STRICT CHECK: Only activate if state is explicitly "thinking"
                         if (reasoningDetails.getAttribute('data-state') === 'thinking') {
-                            isCharThinking = true;
-                            updateThinkingUI();
+                            reportThinking('dom', true);
                         }
                     }
                 }
@@ -1006,30 +3597,18 @@ function initThinkingObserver() {
                     }
 
                     // data-state="thinking" -> Switch to Thinking
-                    if (dataState === 'thinking' && !isCharThinking) {
-                        isCharThinking = true;
-                        updateThinkingUI();
+                    if (dataState === 'thinking') {
+                        reportThinking('dom', true);
                     }
                     // data-state="done" -> Switch to Typing
-                    else if (dataState === 'done' && isCharThinking) {
-                        isCharThinking = false;
-                        updateThinkingUI();
+                    else if (dataState === 'done') {
+                        reportThinking('dom', false);
                     }
                 }
             }
         }
     });
 
-    // Helper to update indicator UI
-    function updateThinkingUI() {
-        const indicator = document.getElementById('typing_indicator_plus');
-        if (indicator) {
-            const htmlContent = generateIndicatorHTML(settings, false, isCharThinking);
-            indicator.innerHTML = htmlContent;
-            console.log('[TIP+] Indicator UI updated');
-        }
-    }
-
     thinkingObserver.observe(chatContainer, {
         childList: true,
         subtree: true,
@@ -1059,15 +3638,21 @@ function schedulePause(settings) {
     const indicator = document.getElementById('typing_indicator_plus');
     if (!indicator || !isIndicatorVisible) return;
 
-    const shouldPause = Math.random() < settings.pauseChance;
+    const shouldPause = !isIndicatorStalled && Math.random() < settings.pauseChance;
     const pauseDuration = 300 + Math.random() * 600;
     const nextCheck = 800 + Math.random() * 1500;
 
     if (shouldPause) {
         indicator.classList.add('paused');
+        isIndicatorPaused = true;
+        emitIndicatorEvent('paused', { duration: pauseDuration });
         setTimeout(() => {
             const el = document.getElementById('typing_indicator_plus');
             if (el) el.classList.remove('paused');
+            if (isIndicatorPaused && isIndicatorVisible) {
+                isIndicatorPaused = false;
+                emitIndicatorEvent(isCharThinking ? 'thinking' : 'typing');
+            }
         }, pauseDuration);
     }
 
@@ -1076,17 +3661,38 @@ function schedulePause(settings) {
 
 /**
  * Hides the typing indicator.
+ * @param {boolean} [immediate] Remove it right away instead of fading out (chat switch)
  */
-function hideTypingIndicator() {
+function hideTypingIndicator(immediate = false) {
+    const wasVisible = isIndicatorVisible;
     isIndicatorVisible = false;
+    isIndicatorPaused = false;
+    textOverride = null;
+    endState = null;
+    if (endStateTimeout) {
+        clearTimeout(endStateTimeout);
+        endStateTimeout = null;
+    }
     clearTimers();
+    updateTabActivity();
+
+    if (wasVisible) {
+        emitIndicatorEvent('hidden');
+    }
 
     const typingIndicator = document.getElementById('typing_indicator_plus');
-    if (typingIndicator) {
+    if (typingIndicator && immediate) {
+        if (hideTimeout) {
+            clearTimeout(hideTimeout);
+            hideTimeout = null;
+        }
+        typingIndicator.remove();
+    } else if (typingIndicator) {
         typingIndicator.classList.remove('visible');
         typingIndicator.classList.add('hiding');
 
-        setTimeout(() => {
+        hideTimeout = setTimeout(() => {
+            hideTimeout = null;
             const el = document.getElementById('typing_indicator_plus');
             if (el) el.remove();
         }, 250);
@@ -1096,12 +3702,14 @@ function hideTypingIndicator() {
 /**
  * Draws the settings for this extension.
  * @param {TypingIndicatorSettings} settings Settings object
+ * @returns {HTMLElement|undefined} The settings drawer
  */
 function addExtensionSettings(settings) {
     const settingsContainer = document.getElementById('typing_indicator_container') ?? document.getElementById('extensions_settings');
     if (!settingsContainer) return;
 
     const inlineDrawer = document.createElement('div');
+    inlineDrawer.id = 'typing_indicator_plus_settings';
     inlineDrawer.classList.add('inline-drawer');
     settingsContainer.append(inlineDrawer);
 
@@ -1222,6 +3830,100 @@ function addExtensionSettings(settings) {
         return { drawer, content };
     };
 
+    // ========== PREVIEW ==========
+    const previewDrawer = createDrawerSection('👁️ Preview');
+    inlineDrawerContent.append(previewDrawer.drawer);
+
+    const previewPane = document.createElement('div');
+    previewPane.classList.add('tip-settings-preview');
+
+    const charPreview = document.createElement('div');
+    const userPreview = document.createElement('div');
+    previewPane.append(charPreview, userPreview);
+
+    const renderPreview = () => {
+        const charSettings = getEffectiveSettings();
+        charPreview.className = `typing_indicator_plus typing-style-${charSettings.style} typing-theme-${charSettings.animationTheme} visible`;
+        charPreview.innerHTML = generateIndicatorHTML(charSettings, false, false);
+        applyIndicatorGlow(charPreview, charSettings);
+
+        userPreview.className = `typing_indicator_plus typing-user-indicator typing-style-${charSettings.style} ${settings.userRightAlign ? 'right-aligned' : ''} visible`;
+        userPreview.innerHTML = generateIndicatorHTML(charSettings, true);
+        userPreview.style.setProperty('--indicator-glow', settings.glowEnabled !== false ? (settings.userGlowColor || '#5cb85c') : 'transparent');
+    };
+
+    const simulateButton = document.createElement('button');
+    simulateButton.classList.add('menu_button');
+    const setSimulateLabel = (running) => {
+        simulateButton.innerHTML = running
+            ? `<i class="fa-solid fa-stop"></i> ${t`Stop`}`
+            : `<i class="fa-solid fa-play"></i> ${t`Simulate`}`;
+    };
+    setSimulateLabel(false);
+    simulateButton.title = t`Play a scripted typing lifecycle in the chat, without calling the model`;
+    simulateButton.addEventListener('click', () => {
+        if (simulationTimeouts.length > 0) {
+            stopSimulation(true);
+            setSimulateLabel(false);
+            return;
+        }
+        if (runSimulation(() => setSimulateLabel(false))) {
+            setSimulateLabel(true);
+        } else {
+            toastr.info(t`Open a chat to run the simulation.`, 'Typing Indicator+');
+        }
+    });
+
+    previewDrawer.content.append(previewPane, simulateButton);
+    renderPreview();
+    refreshSettingsPreview = renderPreview;
+
+    // Any change anywhere in the drawer re-renders the preview
+    const schedulePreview = (e) => {
+        if (e.type === 'click' && !e.target.closest('button')) return;
+        requestAnimationFrame(renderPreview);
+    };
+    inlineDrawerContent.addEventListener('input', schedulePreview);
+    inlineDrawerContent.addEventListener('change', schedulePreview);
+    inlineDrawerContent.addEventListener('click', schedulePreview);
+
+    // Inputs of the settings /typing can change, so syncSettingControl() can update them in place
+    const settingInputs = new Map();
+    const bindSetting = (key, row) => {
+        settingInputs.set(key, row.querySelector('select, input'));
+        return row;
+    };
+    syncSettingControl = key => {
+        const input = settingInputs.get(key);
+        if (!input) return;
+        if (input.type === 'checkbox') {
+            input.checked = settings[key];
+        } else {
+            input.value = settings[key];
+        }
+        if (key === 'style') {
+            renderCustomStyleEditor();
+        }
+        refreshSettingsPreview?.();
+    };
+
+    // Sound theme selects are repopulated once the sound packs have loaded
+    const soundThemeSelects = [];
+    let renderSoundLibrary = null;
+    let renderKeySoundMap = null;
+    const createSoundThemeSelect = (label, key) => {
+        const row = createSelect(label, getSoundThemeOptions(), settings[key], v => settings[key] = v);
+        soundThemeSelects.push({ select: row.querySelector('select'), key });
+        return bindSetting(key, row);
+    };
+    refreshSoundSettings = () => {
+        for (const { select, key } of soundThemeSelects) {
+            select.replaceChildren(...getSoundThemeOptions().map(opt => new Option(opt.label, opt.value, false, opt.value === settings[key])));
+        }
+        refreshProfileSection?.();
+        renderSoundLibrary?.();
+    };
+
     // ========== GENERAL ==========
     const generalDrawer = createDrawerSection('⚙️ General', true); // Start open
     inlineDrawerContent.append(generalDrawer.drawer);
@@ -1230,33 +3932,179 @@ function addExtensionSettings(settings) {
         createCheckbox(t`Enabled`, settings.enabled, v => settings.enabled = v)
     );
 
+    // Visual style select is rebuilt whenever custom styles are added, renamed or deleted
+    const createStyleSelect = () => bindSetting('style', createSelect(t`Visual Style`, getStyleOptions(), settings.style, v => {
+        settings.style = v;
+        renderCustomStyleEditor();
+    }));
+    let styleSelectRow = createStyleSelect();
+    const refreshStyleSelect = () => {
+        const row = createStyleSelect();
+        styleSelectRow.replaceWith(row);
+        styleSelectRow = row;
+    };
+
+    // Custom template styles: edits the selected style when it's a custom one
+    const customStyleBox = document.createElement('div');
+    customStyleBox.classList.add('tip-custom-style-box');
+
+    const customStyleTextarea = (label, value, rows, placeholder, onInput) => {
+        const row = document.createElement('div');
+        row.classList.add('typing-setting-row');
+        const lbl = document.createElement('label');
+        lbl.textContent = label;
+        const textarea = document.createElement('textarea');
+        textarea.classList.add('text_pole', 'monospace');
+        textarea.rows = rows;
+        textarea.value = value;
+        textarea.placeholder = placeholder;
+        textarea.spellcheck = false;
+        textarea.addEventListener('input', () => { onInput(textarea.value); saveSettingsDebounced(); });
+        row.append(lbl, textarea);
+        return row;
+    };
+
+    const renderCustomStyleEditor = () => {
+        customStyleBox.innerHTML = '';
+        const customStyle = getCustomStyle(settings.style);
+
+        const buttons = document.createElement('div');
+        buttons.classList.add('tip-custom-style-buttons');
+
+        const newButton = document.createElement('div');
+        newButton.classList.add('menu_button');
+        newButton.textContent = t`New Custom Style`;
+        newButton.addEventListener('click', () => {
+            const style = {
+                id: `custom_${Date.now().toString(36)}`,
+                name: `${t`Custom`} ${settings.customStyles.length + 1}`,
+                template: customStyle?.template ?? '{{avatar}}\n<span class="typing-text">{{text}}</span>\n{{dots}}',
+                css: customStyle?.css ?? '& .typing-text {\n    font-style: italic;\n}',
+            };
+            settings.customStyles.push(style);
+            settings.style = style.id;
+            saveSettingsDebounced();
+            updateCustomStyleSheet();
+            refreshStyleSelect();
+            renderCustomStyleEditor();
+            refreshIndicator();
+        });
+        buttons.append(newButton);
+
+        if (!customStyle) {
+            customStyleBox.append(buttons);
+            return;
+        }
+
+        const deleteButton = document.createElement('div');
+        deleteButton.classList.add('menu_button');
+        deleteButton.textContent = t`Delete`;
+        deleteButton.addEventListener('click', async () => {
+            const confirmed = await callGenericPopup(t`Delete the custom style "${customStyle.name}"?`, POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            settings.customStyles = settings.customStyles.filter(style => style.id !== customStyle.id);
+            settings.style = 'classic';
+            saveSettingsDebounced();
+            updateCustomStyleSheet();
+            refreshStyleSelect();
+            renderCustomStyleEditor();
+            refreshIndicator();
+            refreshSettingsPreview?.();
+        });
+        buttons.append(deleteButton);
+
+        const nameRow = document.createElement('div');
+        nameRow.classList.add('typing-setting-row');
+        const nameLabel = document.createElement('label');
+        nameLabel.textContent = t`Style Name`;
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.classList.add('text_pole');
+        nameInput.value = customStyle.name;
+        nameInput.addEventListener('input', () => {
+            customStyle.name = nameInput.value.trim() || customStyle.id;
+            saveSettingsDebounced();
+            refreshStyleSelect();
+        });
+        nameRow.append(nameLabel, nameInput);
+
+        const cssWarning = document.createElement('small');
+        cssWarning.classList.add('tip-custom-style-warning');
+        const updateCssWarning = () => {
+            const dropped = [];
+            scopeCss(customStyle.css, '&', dropped);
+            cssWarning.textContent = dropped.length ? t`Ignored (only @media, @supports, @container, @layer, @keyframes and @font-face are allowed): ${dropped.join(', ')}` : '';
+            cssWarning.hidden = !dropped.length;
+        };
+
+        const hint = document.createElement('small');
+        hint.classList.add('tip-custom-style-hint');
+        hint.textContent = t`Placeholders: {{avatar}} {{name}} {{styled_name}} {{text}} {{text_suffix}} {{dots}} {{thinking_icon}} {{next_up}} {{stats}}. In CSS, & is the indicator; every rule is scoped to this style.`;
+
+        customStyleBox.append(
+            buttons,
+            nameRow,
+            customStyleTextarea(t`HTML Template`, customStyle.template, 5, '{{avatar}} <span>{{text}}</span> {{dots}}', v => {
+                customStyle.template = v;
+                refreshIndicator();
+            }),
+            customStyleTextarea(t`Scoped CSS (optional)`, customStyle.css, 4, '& .typing-text { color: gold; }', v => {
+                customStyle.css = v;
+                updateCustomStyleSheet();
+                updateCssWarning();
+            }),
+            cssWarning,
+            hint,
+        );
+        updateCssWarning();
+    };
+
+    renderCustomStyleEditor();
+    generalDrawer.content.append(styleSelectRow, customStyleBox);
+
     generalDrawer.content.append(
-        createSelect(t`Visual Style`, [
-            { value: 'classic', label: 'Classic' },
-            { value: 'speech_bubble', label: 'Speech Bubble' },
-            { value: 'bouncing_dots', label: 'Bouncing Dots' },
-            { value: 'pulsing_avatar', label: 'Pulsing Avatar' },
-            { value: 'wave_dots', label: 'Wave Dots' },
-            { value: 'minimal', label: 'Minimal' },
-            { value: 'discord', label: 'Discord Style' },
-        ], settings.style, v => settings.style = v)
+        bindSetting('position', createSelect(t`Position`, POSITION_OPTIONS, settings.position, v => settings.position = v)),
     );
 
     generalDrawer.content.append(
-        createSelect(t`Position`, [
-            { value: 'bottom', label: 'Bottom (Sticky)' },
-            { value: 'inline', label: 'Inline (After Messages)' },
-            { value: 'floating', label: 'Floating (Overlay)' },
-        ], settings.position, v => settings.position = v)
+        bindSetting('animationTheme', createSelect(t`Animation Theme`, ANIMATION_THEME_OPTIONS, settings.animationTheme, v => settings.animationTheme = v)),
     );
 
+    // Background activity, while the window isn't focused
+    generalDrawer.content.append(createHeader(t`When the Window Is in the Background`));
+
+    const tabTitleRow = document.createElement('div');
+    tabTitleRow.classList.add('typing-setting-row');
+    tabTitleRow.style.display = settings.tabTitleActivity ? 'flex' : 'none';
+    const tabTitleLabel = document.createElement('label');
+    tabTitleLabel.textContent = t`Tab Title`;
+    const tabTitleInput = document.createElement('input');
+    tabTitleInput.type = 'text';
+    tabTitleInput.classList.add('text_pole');
+    tabTitleInput.value = settings.tabTitleText;
+    tabTitleInput.placeholder = '{{char}} is typing…';
+    tabTitleInput.addEventListener('input', () => { settings.tabTitleText = tabTitleInput.value; saveSettingsDebounced(); });
+    tabTitleRow.append(tabTitleLabel, tabTitleInput);
+
     generalDrawer.content.append(
-        createSelect(t`Animation Theme`, [
-            { value: 'smooth', label: 'Smooth' },
-            { value: 'playful', label: 'Playful (Bouncy)' },
-            { value: 'minimal', label: 'Minimal' },
-            { value: 'wave', label: 'Wave' },
-        ], settings.animationTheme, v => settings.animationTheme = v)
+        createCheckbox(t`Show Typing in the Tab Title`, settings.tabTitleActivity, v => {
+            settings.tabTitleActivity = v;
+            tabTitleRow.style.display = v ? 'flex' : 'none';
+        }),
+        tabTitleRow,
+        createCheckbox(t`Animate the Tab Icon`, settings.animateFavicon, v => settings.animateFavicon = v),
+        createCheckbox(t`Desktop Notification When a Reply Arrives`, settings.desktopNotifications, async v => {
+            settings.desktopNotifications = v;
+            if (!v) return;
+            if (!('Notification' in window)) {
+                toastr.warning(t`This browser doesn't support desktop notifications.`, 'Typing Indicator+');
+                return;
+            }
+            const permission = Notification.permission === 'default' ? await Notification.requestPermission() : Notification.permission;
+            if (permission !== 'granted') {
+                toastr.warning(t`Notifications are blocked for this site. Allow them in your browser's site settings.`, 'Typing Indicator+');
+            }
+        }),
     );
 
     // ========== CHARACTER INDICATOR ==========
@@ -1286,6 +4134,66 @@ function addExtensionSettings(settings) {
         createCheckbox(t`Show "Thinking" Indicator`, settings.showThinking, v => settings.showThinking = v)
     );
 
+    // Thinking detectors
+    const detectorBox = document.createElement('div');
+    detectorBox.classList.add('tip-detector-box');
+
+    const detectorStatus = document.createElement('small');
+    detectorStatus.classList.add('tip-detector-status');
+    const renderDetectorStatus = () => {
+        const enabled = Object.values(THINKING_DETECTORS).filter(d => settings[d.settingsKey]).map(d => d.label);
+        const active = THINKING_DETECTORS[activeThinkingDetector]?.label;
+        const last = THINKING_DETECTORS[lastThinkingDetector]?.label;
+        detectorStatus.textContent = active
+            ? `${t`Thinking detected by`}: ${active}`
+            : `${t`Enabled detectors`}: ${enabled.join(', ') || t`none`}` + (last ? ` · ${t`last detected by`}: ${last}` : '');
+    };
+
+    const createTextareaRow = (label, key, placeholder, rows = 2) => {
+        const row = document.createElement('div');
+        row.classList.add('typing-setting-row');
+        const lbl = document.createElement('label');
+        lbl.textContent = label;
+        const textarea = document.createElement('textarea');
+        textarea.classList.add('text_pole');
+        textarea.rows = rows;
+        textarea.value = settings[key];
+        textarea.placeholder = placeholder;
+        textarea.addEventListener('input', () => { settings[key] = textarea.value; saveSettingsDebounced(); });
+        row.append(lbl, textarea);
+        return row;
+    };
+
+    const markerRows = document.createElement('div');
+    markerRows.style.display = settings.thinkingDetectMarkers ? 'block' : 'none';
+    markerRows.append(
+        createTextareaRow(t`Start Markers (one per line, /regex/ allowed)`, 'thinkingStartMarkers', '<think>'),
+        createTextareaRow(t`End Markers (one per line, /regex/ allowed)`, 'thinkingEndMarkers', '</think>'),
+    );
+
+    const gapRow = createNumberInput(t`Gap Before First Token (ms)`, settings.thinkingGapMs, '4000', v => settings.thinkingGapMs = validateSetting('thinkingGapMs', v).value);
+    gapRow.style.display = settings.thinkingDetectGap ? 'flex' : 'none';
+
+    detectorBox.append(
+        detectorStatus,
+        createCheckbox(t`Detect Reasoning Blocks`, settings.thinkingDetectDom, v => { settings.thinkingDetectDom = v; renderDetectorStatus(); }),
+        createCheckbox(t`Detect Stream Markers`, settings.thinkingDetectMarkers, v => {
+            settings.thinkingDetectMarkers = v;
+            markerRows.style.display = v ? 'block' : 'none';
+            renderDetectorStatus();
+        }),
+        markerRows,
+        createCheckbox(t`Detect Long First-Token Gap`, settings.thinkingDetectGap, v => {
+            settings.thinkingDetectGap = v;
+            gapRow.style.display = v ? 'flex' : 'none';
+            renderDetectorStatus();
+        }),
+        gapRow,
+    );
+    charDrawer.content.append(detectorBox);
+    renderDetectorStatus();
+    refreshDetectorStatus = renderDetectorStatus;
+
     // Thinking text for character
     const charThinkingTextRow = document.createElement('div');
     charThinkingTextRow.classList.add('typing-setting-row');
@@ -1295,7 +4203,7 @@ function addExtensionSettings(settings) {
     charThinkingTextInput.type = 'text';
     charThinkingTextInput.classList.add('text_pole');
     charThinkingTextInput.value = settings.customThinkingText || '{{char}} is thinking...';
-    charThinkingTextInput.placeholder = '{{char}} is thinking...';
+    charThinkingTextInput.placeholder = '{{char}} is thinking... {{thinking_time}}';
     charThinkingTextInput.addEventListener('input', () => { settings.customThinkingText = charThinkingTextInput.value; saveSettingsDebounced(); });
     charThinkingTextRow.append(charThinkingTextLabel, charThinkingTextInput);
     charDrawer.content.append(charThinkingTextRow);
@@ -1315,6 +4223,279 @@ function addExtensionSettings(settings) {
     thinkingIconRow.append(thinkingIconLabel, thinkingIconInput);
     charDrawer.content.append(thinkingIconRow);
 
+    charDrawer.content.append(
+        createCheckbox(t`Show Thinking Timer`, settings.showThinkingTimer, v => settings.showThinkingTimer = v)
+    );
+
+    charDrawer.content.append(
+        createCheckbox(t`Show "Thought for" Summary`, settings.showThoughtSummary, v => settings.showThoughtSummary = v)
+    );
+
+    // "Thought for" summary text
+    const thoughtSummaryRow = document.createElement('div');
+    thoughtSummaryRow.classList.add('typing-setting-row');
+    const thoughtSummaryLabel = document.createElement('label');
+    thoughtSummaryLabel.textContent = t`Thought Summary Text`;
+    const thoughtSummaryInput = document.createElement('input');
+    thoughtSummaryInput.type = 'text';
+    thoughtSummaryInput.classList.add('text_pole');
+    thoughtSummaryInput.value = settings.thoughtSummaryText;
+    thoughtSummaryInput.placeholder = 'Thought for {{thinking_time}}';
+    thoughtSummaryInput.addEventListener('input', () => { settings.thoughtSummaryText = thoughtSummaryInput.value; saveSettingsDebounced(); });
+    thoughtSummaryRow.append(thoughtSummaryLabel, thoughtSummaryInput);
+    charDrawer.content.append(thoughtSummaryRow);
+
+    charDrawer.content.append(
+        createCheckbox(t`Show Live Generation Stats`, settings.showGenerationStats, v => settings.showGenerationStats = v)
+    );
+
+    // Status messages: rotation and escalation
+    charDrawer.content.append(createHeader(t`Status Messages`));
+
+    const rotationRows = document.createElement('div');
+    rotationRows.style.display = settings.rotateMessages ? 'block' : 'none';
+    rotationRows.append(
+        createNumberInput(t`Rotate Every (seconds)`, settings.rotationIntervalSec, '4', v => settings.rotationIntervalSec = validateSetting('rotationIntervalSec', v).value),
+        createSelect(t`Rotation Order`, ROTATION_ORDER_OPTIONS, settings.rotationOrder, v => settings.rotationOrder = v),
+        createTextareaRow(t`Typing Phrases (one per line)`, 'typingPhrases', '{{char}} is typing...\n{{char}} is choosing their words...', 3),
+        createTextareaRow(t`Thinking Phrases (one per line)`, 'thinkingPhrases', '{{char}} is thinking...\n{{char}} is pondering...', 3),
+    );
+
+    charDrawer.content.append(
+        createCheckbox(t`Rotate Through Phrases`, settings.rotateMessages, v => {
+            settings.rotateMessages = v;
+            rotationRows.style.display = v ? 'block' : 'none';
+        }),
+        rotationRows,
+        createTextareaRow(t`Typing Escalation (seconds | text, one per line)`, 'typingEscalations', '20 | {{char}} is writing a lot...'),
+        createTextareaRow(t`Thinking Escalation (seconds | text, one per line)`, 'thinkingEscalations', '30 | {{char}} is thinking really hard...'),
+    );
+
+    // Stall detection
+    charDrawer.content.append(createHeader(t`Stall Detection`));
+
+    const stalledTextRow = document.createElement('div');
+    stalledTextRow.classList.add('typing-setting-row');
+    const stalledTextLabel = document.createElement('label');
+    stalledTextLabel.textContent = t`Stalled Text`;
+    const stalledTextInput = document.createElement('input');
+    stalledTextInput.type = 'text';
+    stalledTextInput.classList.add('text_pole');
+    stalledTextInput.value = settings.stalledText;
+    stalledTextInput.placeholder = '{{char}} seems stuck... (connection slow)';
+    stalledTextInput.addEventListener('input', () => { settings.stalledText = stalledTextInput.value; saveSettingsDebounced(); });
+    stalledTextRow.append(stalledTextLabel, stalledTextInput);
+
+    const stallRows = document.createElement('div');
+    stallRows.style.display = settings.stallDetection ? 'block' : 'none';
+    stallRows.append(
+        createNumberInput(t`Before First Token (seconds, 0 = off)`, settings.stallFirstTokenSec, '90', v => settings.stallFirstTokenSec = validateSetting('stallFirstTokenSec', v).value),
+        createNumberInput(t`Between Tokens (seconds, 0 = off)`, settings.stallTokenGapSec, '20', v => settings.stallTokenGapSec = validateSetting('stallTokenGapSec', v).value),
+        stalledTextRow,
+        createColorPicker(t`Stalled Color`, settings.stalledColor, v => settings.stalledColor = v),
+        createCheckbox(t`Show Stop Button When Stalled`, settings.showStopButton, v => settings.showStopButton = v),
+    );
+
+    charDrawer.content.append(
+        createCheckbox(t`Detect Stalled Generations`, settings.stallDetection, v => {
+            settings.stallDetection = v;
+            stallRows.style.display = v ? 'block' : 'none';
+        }),
+        stallRows,
+    );
+
+    // End states
+    charDrawer.content.append(createHeader(t`End States`));
+
+    const createEndStateRows = (outcome, label, placeholder) => {
+        const { textKey, durationKey, soundKey } = END_STATES[outcome];
+        const textRow = document.createElement('div');
+        textRow.classList.add('typing-setting-row');
+        const textLabel = document.createElement('label');
+        textLabel.textContent = `${label} ${t`Text`}`;
+        const textInput = document.createElement('input');
+        textInput.type = 'text';
+        textInput.classList.add('text_pole');
+        textInput.value = settings[textKey];
+        textInput.placeholder = placeholder;
+        textInput.addEventListener('input', () => { settings[textKey] = textInput.value; saveSettingsDebounced(); });
+        textRow.append(textLabel, textInput);
+
+        return [
+            textRow,
+            createNumberInput(`${label} ${t`Duration (ms)`}`, settings[durationKey], String(defaultSettings[durationKey]), v => settings[durationKey] = validateSetting(durationKey, v).value),
+            createCheckbox(`${label} ${t`Sound`}`, settings[soundKey], v => settings[soundKey] = v),
+        ];
+    };
+
+    const endStateRows = document.createElement('div');
+    endStateRows.style.display = settings.showEndStates ? 'block' : 'none';
+    endStateRows.append(
+        ...createEndStateRows('stopped', t`Stopped`, '{{char}} stopped.'),
+        ...createEndStateRows('failed', t`Failed`, '{{char}} couldn\'t reply.'),
+    );
+
+    charDrawer.content.append(
+        createCheckbox(t`Show Stopped/Failed States`, settings.showEndStates, v => {
+            settings.showEndStates = v;
+            endStateRows.style.display = v ? 'block' : 'none';
+        }),
+        endStateRows,
+    );
+
+    // ========== THIS CHARACTER (PROFILE OVERRIDES) ==========
+    const profileDrawer = createDrawerSection('🎭 This Character');
+    inlineDrawerContent.append(profileDrawer.drawer);
+
+    let copiedProfile = null;
+
+    // Rebuilt whenever the chat changes, since the target character/group changes with it
+    const renderProfileSection = () => {
+        profileDrawer.content.innerHTML = '';
+
+        const target = getCurrentProfileTarget();
+        if (!target) {
+            const hint = document.createElement('small');
+            hint.style.opacity = '0.7';
+            hint.textContent = t`Open a character or group chat to edit its overrides.`;
+            profileDrawer.content.append(hint);
+            return;
+        }
+
+        const profiles = settings.characterProfiles;
+        const overrides = profiles[target.key] || {};
+
+        const info = document.createElement('small');
+        info.style.opacity = '0.7';
+        info.textContent = `${target.label} — ${Object.keys(overrides).length} ${t`override(s)`}`;
+        profileDrawer.content.append(info);
+
+        // Wraps a control so it writes into the profile and can be reset to the global value
+        const createOverrideRow = (key, buildControl) => {
+            const row = document.createElement('div');
+            row.classList.add('tip-profile-row');
+            row.classList.toggle('overridden', overrides[key] !== undefined);
+
+            const value = overrides[key] !== undefined ? overrides[key] : settings[key];
+            const control = buildControl(value, v => {
+                profiles[target.key] = { ...profiles[target.key], [key]: v };
+                row.classList.add('overridden');
+            });
+
+            const reset = document.createElement('button');
+            reset.classList.add('menu_button', 'tip-profile-reset');
+            reset.title = t`Use global setting`;
+            reset.innerHTML = '<i class="fa-solid fa-rotate-left"></i>';
+            reset.addEventListener('click', () => {
+                if (!profiles[target.key]) return;
+                delete profiles[target.key][key];
+                if (Object.keys(profiles[target.key]).length === 0) {
+                    delete profiles[target.key];
+                }
+                saveSettingsDebounced();
+                renderProfileSection();
+            });
+
+            row.append(control, reset);
+            return row;
+        };
+
+        const createTextControl = (label, placeholder) => (value, onChange) => {
+            const wrapper = document.createElement('div');
+            wrapper.classList.add('typing-setting-row');
+            const lbl = document.createElement('label');
+            lbl.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.classList.add('text_pole');
+            input.value = value || '';
+            input.placeholder = placeholder;
+            input.addEventListener('input', () => { onChange(input.value); saveSettingsDebounced(); });
+            wrapper.append(lbl, input);
+            return wrapper;
+        };
+
+        const createVolumeControl = (label) => (value, onChange) => {
+            const wrapper = document.createElement('div');
+            wrapper.classList.add('typing-setting-row');
+            const lbl = document.createElement('label');
+            lbl.textContent = label;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '1';
+            slider.step = '0.1';
+            slider.value = String(value);
+            slider.addEventListener('input', () => { onChange(parseFloat(slider.value)); saveSettingsDebounced(); });
+            wrapper.append(lbl, slider);
+            return wrapper;
+        };
+
+        profileDrawer.content.append(
+            createOverrideRow('style', (v, set) => createSelect(t`Visual Style`, getStyleOptions(), v, set)),
+            createOverrideRow('animationTheme', (v, set) => createSelect(t`Animation Theme`, ANIMATION_THEME_OPTIONS, v, set)),
+            createOverrideRow('customText', createTextControl(t`Typing Text`, '{{char}} is typing...')),
+            createOverrideRow('customThinkingText', createTextControl(t`Thinking Text`, '{{char}} is thinking...')),
+            createOverrideRow('thinkingIcon', createTextControl(t`Thinking Icon`, '🧠')),
+            createOverrideRow('showAvatar', (v, set) => createCheckbox(t`Show Character Avatar`, v, set)),
+            createOverrideRow('glowEnabled', (v, set) => createCheckbox(t`Enable Glow Effect`, v !== false, set)),
+            createOverrideRow('glowGradient', (v, set) => createCheckbox(t`Gradient Glow`, v, set)),
+            createOverrideRow('glowColor', (v, set) => createColorPicker(t`Glow Color`, v, set)),
+            createOverrideRow('glowColor2', (v, set) => createColorPicker(t`Glow Color 2`, v, set)),
+            createOverrideRow('nameGradient', (v, set) => createCheckbox(t`Gradient Name Colors`, v, set)),
+            createOverrideRow('charNameColor', (v, set) => createColorPicker(t`Name Color`, v, set)),
+            createOverrideRow('charNameColor2', (v, set) => createColorPicker(t`Name Color 2`, v, set)),
+            createOverrideRow('soundEnabled', (v, set) => createCheckbox(t`Enable Character Typing Sounds`, v, set)),
+            createOverrideRow('soundTheme', (v, set) => createSelect(t`Character Sound Theme`, getSoundThemeOptions(), v, set)),
+            createOverrideRow('soundVolume', createVolumeControl(t`Character Volume`)),
+        );
+
+        // Copy / paste / clear the whole profile
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display:flex;gap:6px;flex-wrap:wrap;margin-top:6px;';
+
+        const copyButton = document.createElement('button');
+        copyButton.classList.add('menu_button');
+        copyButton.textContent = t`Copy`;
+        copyButton.title = t`Copy this profile's overrides`;
+        copyButton.addEventListener('click', () => {
+            copiedProfile = structuredClone(profiles[target.key] || {});
+            renderProfileSection();
+        });
+
+        const pasteButton = document.createElement('button');
+        pasteButton.classList.add('menu_button');
+        pasteButton.textContent = t`Paste`;
+        pasteButton.title = t`Replace this profile's overrides with the copied ones`;
+        pasteButton.disabled = !copiedProfile;
+        pasteButton.addEventListener('click', () => {
+            if (!copiedProfile) return;
+            if (Object.keys(copiedProfile).length > 0) {
+                profiles[target.key] = structuredClone(copiedProfile);
+            } else {
+                delete profiles[target.key];
+            }
+            saveSettingsDebounced();
+            renderProfileSection();
+        });
+
+        const clearButton = document.createElement('button');
+        clearButton.classList.add('menu_button');
+        clearButton.textContent = t`Clear`;
+        clearButton.title = t`Remove all overrides for this profile`;
+        clearButton.addEventListener('click', () => {
+            delete profiles[target.key];
+            saveSettingsDebounced();
+            renderProfileSection();
+        });
+
+        actions.append(copyButton, pasteButton, clearButton);
+        profileDrawer.content.append(actions);
+    };
+
+    renderProfileSection();
+    refreshProfileSection = renderProfileSection;
+
     // ========== USER INDICATOR ==========
     const userDrawer = createDrawerSection('👤 User Indicator');
     inlineDrawerContent.append(userDrawer.drawer);
@@ -1341,30 +4522,117 @@ function addExtensionSettings(settings) {
     userTextRow.append(userTextLabel, userTextInput);
     userDrawer.content.append(userTextRow);
 
+    // Rotates on the shared interval when "Rotate Through Phrases" is on
+    userDrawer.content.append(
+        createTextareaRow(t`User Phrases (one per line, rotated)`, 'userPhrases', '{{user}} is typing...\n{{user}} is writing...', 3)
+    );
+
     userDrawer.content.append(
         createCheckbox(t`Show User Avatar`, settings.showUserAvatar, v => settings.showUserAvatar = v)
     );
 
     userDrawer.content.append(
-        createNumberInput(t`Idle Timeout (ms)`, settings.userTypingTimeoutMs || 600, '600', v => settings.userTypingTimeoutMs = v)
+        createNumberInput(t`Idle Timeout (ms)`, settings.userTypingTimeoutMs || 600, '600', v => settings.userTypingTimeoutMs = validateSetting('userTypingTimeoutMs', v).value)
     );
 
     // User Sound settings
     const userSoundCheckbox = createCheckbox(t`Enable User Typing Sounds`, settings.userSoundEnabled, v => {
         settings.userSoundEnabled = v;
         userSoundThemeRow.style.display = v ? 'block' : 'none';
+        userVolumeRow.style.display = v ? 'flex' : 'none';
+        keySoundBox.style.display = v ? 'flex' : 'none';
     });
     userDrawer.content.append(userSoundCheckbox);
 
-    const userSoundThemeRow = createSelect(t`User Sound Theme`, [
-        { value: 'ios', label: 'iOS Click' },
-        { value: 'mechanical', label: 'Mechanical' },
-        { value: 'retro', label: 'Retro Terminal' },
-        { value: 'soft', label: 'Soft Taps' },
-        { value: 'osu', label: 'Osu!' },
-    ], settings.userSoundTheme || 'ios', v => settings.userSoundTheme = v);
-    userSoundThemeRow.style.display = settings.userSoundEnabled ? 'block' : 'none';
-    userDrawer.content.append(userSoundThemeRow);
+    const userSoundThemeRow = createSoundThemeSelect(t`User Sound Theme`, 'userSoundTheme');
+    userSoundThemeRow.style.display = settings.userSoundEnabled ? 'block' : 'none';
+    userDrawer.content.append(userSoundThemeRow);
+
+    const userVolumeRow = document.createElement('div');
+    userVolumeRow.classList.add('typing-setting-row');
+    userVolumeRow.style.display = settings.userSoundEnabled ? 'flex' : 'none';
+    const userVolumeLabel = document.createElement('label');
+    userVolumeLabel.textContent = t`User Volume`;
+    const userVolumeSlider = document.createElement('input');
+    userVolumeSlider.type = 'range';
+    userVolumeSlider.min = '0';
+    userVolumeSlider.max = '1';
+    userVolumeSlider.step = '0.1';
+    userVolumeSlider.value = String(settings.userSoundVolume);
+    userVolumeSlider.addEventListener('input', () => { settings.userSoundVolume = parseFloat(userVolumeSlider.value); saveSettingsDebounced(); });
+    userVolumeRow.append(userVolumeLabel, userVolumeSlider);
+    userDrawer.content.append(userVolumeRow);
+
+    // Key sound map: sound, pitch and volume per key class; library sounds are listed once the library is read
+    const keySoundBox = document.createElement('div');
+    keySoundBox.classList.add('tip-key-sound-box');
+    keySoundBox.style.display = settings.userSoundEnabled ? 'flex' : 'none';
+    userDrawer.content.append(keySoundBox);
+
+    renderKeySoundMap = async () => {
+        const sounds = await listStoredSounds().catch(() => []);
+        const soundOptions = [
+            ...KEY_SOUND_OPTIONS,
+            ...sounds.map(sound => ({ value: sound.id, label: `♪ ${sound.name}` })),
+        ];
+
+        const header = document.createElement('div');
+        header.classList.add('tip-key-sound-row', 'tip-key-sound-header');
+        header.append(...[t`Key`, t`Sound`, t`Pitch`, t`Volume`, ''].map(text => {
+            const cell = document.createElement('small');
+            cell.textContent = text;
+            return cell;
+        }));
+
+        const rows = KEY_CLASSES.map(({ value: keyClass, label }) => {
+            const entry = settings.userKeySounds[keyClass];
+            const row = document.createElement('div');
+            row.classList.add('tip-key-sound-row');
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const soundSelect = document.createElement('select');
+            soundSelect.classList.add('text_pole');
+            soundSelect.append(...soundOptions.map(opt => new Option(opt.label, opt.value, false, opt.value === entry.sound)));
+            soundSelect.addEventListener('change', () => {
+                entry.sound = soundSelect.value;
+                saveSettingsDebounced();
+                loadCustomSounds(settings);
+            });
+
+            const pitchInput = document.createElement('input');
+            pitchInput.type = 'number';
+            pitchInput.classList.add('text_pole');
+            Object.assign(pitchInput, { min: -12, max: 12, step: 1, value: entry.pitch, title: t`Pitch offset in semitones` });
+            pitchInput.addEventListener('change', () => {
+                const pitch = Math.round(Number(pitchInput.value));
+                entry.pitch = Number.isFinite(pitch) ? Math.min(12, Math.max(-12, pitch)) : 0;
+                pitchInput.value = entry.pitch;
+                saveSettingsDebounced();
+            });
+
+            const volumeInput = document.createElement('input');
+            volumeInput.type = 'range';
+            Object.assign(volumeInput, { min: 0, max: 1, step: 0.05, value: entry.volume, title: t`Volume relative to the sound volume` });
+            volumeInput.addEventListener('input', () => {
+                entry.volume = parseFloat(volumeInput.value);
+                saveSettingsDebounced();
+            });
+
+            const testButton = document.createElement('button');
+            testButton.classList.add('menu_button');
+            testButton.title = t`Preview`;
+            testButton.innerHTML = '<i class="fa-solid fa-play"></i>';
+            testButton.addEventListener('click', () => playUserKeySound(getEffectiveSettings(), keyClass, settings.userSoundVolume));
+
+            row.append(name, soundSelect, pitchInput, volumeInput, testButton);
+            return row;
+        });
+
+        keySoundBox.replaceChildren(header, ...rows);
+    };
+    renderKeySoundMap();
 
     // ========== VISUAL EFFECTS ==========
     const visualDrawer = createDrawerSection('✨ Visual Effects');
@@ -1482,6 +4750,11 @@ function addExtensionSettings(settings) {
     const soundDrawer = createDrawerSection('🔊 Sound & Advanced');
     inlineDrawerContent.append(soundDrawer.drawer);
 
+    // Master mute silences everything, including user keystrokes and end state sounds
+    soundDrawer.content.append(
+        bindSetting('masterMute', createCheckbox(t`Mute All Sounds`, settings.masterMute, v => settings.masterMute = v)),
+    );
+
     // Sound checkbox
     const soundCheckbox = createCheckbox(t`Enable Character Typing Sounds`, settings.soundEnabled, v => {
         settings.soundEnabled = v;
@@ -1494,7 +4767,7 @@ function addExtensionSettings(settings) {
     volumeRow.classList.add('typing-setting-row');
     volumeRow.style.display = settings.soundEnabled ? 'flex' : 'none';
     const volumeLabel = document.createElement('label');
-    volumeLabel.textContent = t`Sound Volume`;
+    volumeLabel.textContent = t`Character Volume`;
     const volumeSlider = document.createElement('input');
     volumeSlider.type = 'range';
     volumeSlider.min = '0';
@@ -1507,46 +4780,321 @@ function addExtensionSettings(settings) {
 
     // Sound Theme dropdown
     soundDrawer.content.append(
-        createSelect(t`Character Sound Theme`, [
-            { value: 'ios', label: 'iOS Click' },
-            { value: 'mechanical', label: 'Mechanical' },
-            { value: 'retro', label: 'Retro Terminal' },
-            { value: 'soft', label: 'Soft Taps' },
-            { value: 'osu', label: 'Osu!' },
-        ], settings.soundTheme, v => settings.soundTheme = v)
+        createSoundThemeSelect(t`Character Sound Theme`, 'soundTheme')
     );
 
-    // Custom Sound File Upload for Character
-    const customSoundRow = document.createElement('div');
-    customSoundRow.classList.add('typing-setting-row');
-    const customSoundLabel = document.createElement('label');
-    customSoundLabel.textContent = t`Custom Character Sound`;
-    const customSoundInput = document.createElement('input');
-    customSoundInput.type = 'file';
-    customSoundInput.accept = 'audio/*';
-    customSoundInput.addEventListener('change', async (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                settings.customSoundFile = event.target.result;
-                audioCache.custom = loadCustomSound(settings.customSoundFile);
+    // Message sounds: sending uses the user theme and volume, receiving the character's
+    soundDrawer.content.append(
+        createHeader(t`Message Sounds`),
+        createCheckbox(t`Play a Sound When You Send a Message`, settings.sendSoundEnabled, v => settings.sendSoundEnabled = v),
+        createCheckbox(t`Play a Sound When a Reply Arrives`, settings.receiveSoundEnabled, v => settings.receiveSoundEnabled = v),
+    );
+
+    // Custom sounds: library in IndexedDB, settings keep the ids
+    soundDrawer.content.append(createHeader(t`Custom Sounds`));
+    const soundLibrary = document.createElement('div');
+    soundLibrary.classList.add('tip-sound-library');
+    soundDrawer.content.append(soundLibrary);
+
+    renderSoundLibrary = async () => {
+        let sounds;
+        try {
+            sounds = await listStoredSounds();
+        } catch (e) {
+            const hint = document.createElement('small');
+            hint.textContent = t`The sound library is unavailable (IndexedDB is blocked in this browser).`;
+            soundLibrary.replaceChildren(hint);
+            return;
+        }
+
+        const uploadRow = document.createElement('div');
+        uploadRow.classList.add('typing-setting-row');
+        const uploadLabel = document.createElement('label');
+        uploadLabel.textContent = t`Add Sounds`;
+        const uploadInput = document.createElement('input');
+        uploadInput.type = 'file';
+        uploadInput.accept = 'audio/*';
+        uploadInput.multiple = true;
+        uploadInput.addEventListener('change', async () => {
+            for (const file of uploadInput.files) {
+                await addStoredSound(file, file.name.replace(/\.[^.]+$/, ''));
+            }
+            renderSoundLibrary();
+        });
+        uploadRow.append(uploadLabel, uploadInput);
+
+        const soundOptions = [{ value: '', label: t`None` }, ...sounds.map(sound => ({ value: sound.id, label: sound.name }))];
+        const slotRows = Object.entries(SOUND_SLOTS).map(([key, slot]) => createSelect(slot.label, soundOptions, settings[key] ?? '', v => {
+            settings[key] = v || null;
+            loadCustomSounds(settings);
+        }));
+
+        const list = document.createElement('div');
+        list.classList.add('tip-sound-list');
+        for (const sound of sounds) {
+            const row = document.createElement('div');
+            row.classList.add('tip-sound-row');
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.classList.add('text_pole');
+            nameInput.value = sound.name;
+            nameInput.addEventListener('change', async () => {
+                await renameStoredSound(sound.id, nameInput.value.trim() || sound.name);
+                renderSoundLibrary();
+            });
+
+            const size = document.createElement('small');
+            size.textContent = `${Math.max(1, Math.round(sound.size / 1024))} KB`;
+
+            const previewButton = document.createElement('button');
+            previewButton.classList.add('menu_button');
+            previewButton.title = t`Preview`;
+            previewButton.innerHTML = '<i class="fa-solid fa-play"></i>';
+            previewButton.addEventListener('click', async () => {
+                const buffer = await loadCustomSound(sound.blob);
+                if (!buffer) {
+                    toastr.warning(t`This sound can't be decoded by your browser.`);
+                    return;
+                }
+                playAudioBuffer(buffer, settings.soundVolume);
+            });
+
+            const deleteButton = document.createElement('button');
+            deleteButton.classList.add('menu_button');
+            deleteButton.title = t`Delete`;
+            deleteButton.innerHTML = '<i class="fa-solid fa-trash"></i>';
+            deleteButton.addEventListener('click', async () => {
+                const confirmed = await callGenericPopup(t`Delete the sound "${sound.name}"?`, POPUP_TYPE.CONFIRM);
+                if (!confirmed) return;
+                await deleteStoredSound(sound.id);
+                renderSoundLibrary();
+            });
+
+            row.append(nameInput, size, previewButton, deleteButton);
+            list.append(row);
+        }
+
+        if (sounds.length === 0) {
+            const empty = document.createElement('small');
+            empty.style.opacity = '0.7';
+            empty.textContent = t`No custom sounds yet. Sounds are stored in this browser only.`;
+            list.append(empty);
+        }
+
+        soundLibrary.replaceChildren(uploadRow, ...slotRows, list);
+        // The key sound map lists the library sounds too
+        renderKeySoundMap?.();
+    };
+    renderSoundLibrary();
+
+    // Synth designer: built-in presets can be played and copied, the user's own themes edited
+    soundDrawer.content.append(createHeader(t`Synthesizer`));
+    const synthBox = document.createElement('div');
+    synthBox.classList.add('tip-synth-box');
+    soundDrawer.content.append(synthBox);
+
+    let editingSynthId = settings.synthThemes[0]?.id ?? 'mechanical';
+    const synthNumberFields = [
+        { field: 'startFreq', label: t`Start Hz`, step: 10 },
+        { field: 'endFreq', label: t`End Hz`, step: 10 },
+        { field: 'attack', label: t`Attack ms`, step: 1 },
+        { field: 'decay', label: t`Decay ms`, step: 1 },
+        { field: 'gain', label: t`Gain`, step: 0.05 },
+        { field: 'jitter', label: t`Jitter Hz`, step: 10 },
+    ].map(entry => ({ ...entry, ...SYNTH_LAYER_RANGES[entry.field] }));
+
+    const createSynthLayerEditor = (synth, layer) => {
+        const row = document.createElement('div');
+        row.classList.add('tip-synth-layer');
+
+        const typeSelect = document.createElement('select');
+        typeSelect.classList.add('text_pole');
+        typeSelect.title = t`Waveform`;
+        typeSelect.append(...SYNTH_WAVEFORM_OPTIONS.map(opt => new Option(opt.label, opt.value, false, opt.value === layer.type)));
+        typeSelect.addEventListener('change', () => { layer.type = typeSelect.value; saveSettingsDebounced(); });
+        row.append(typeSelect);
+
+        for (const { field, label, min, max, step } of synthNumberFields) {
+            const cell = document.createElement('label');
+            cell.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.classList.add('text_pole');
+            Object.assign(input, { min, max, step, value: layer[field] });
+            input.addEventListener('change', () => {
+                const value = Number(input.value);
+                layer[field] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+                input.value = layer[field];
                 saveSettingsDebounced();
+            });
+            cell.append(input);
+            row.append(cell);
+        }
+
+        const removeButton = document.createElement('button');
+        removeButton.classList.add('menu_button');
+        removeButton.title = t`Remove Layer`;
+        removeButton.innerHTML = '<i class="fa-solid fa-trash"></i>';
+        removeButton.disabled = synth.layers.length <= 1;
+        removeButton.addEventListener('click', () => {
+            synth.layers = synth.layers.filter(l => l !== layer);
+            saveSettingsDebounced();
+            renderSynthEditor();
+        });
+        row.append(removeButton);
+        return row;
+    };
+
+    const renderSynthEditor = () => {
+        const custom = settings.synthThemes.find(theme => theme.id === editingSynthId);
+        const synth = custom ?? SYNTH_PRESETS[editingSynthId] ?? SYNTH_PRESETS.mechanical;
+
+        const themeOptions = [
+            ...Object.entries(SYNTH_PRESETS).map(([id, preset]) => ({ value: id, label: preset.name })),
+            ...settings.synthThemes.map(theme => ({ value: theme.id, label: `✎ ${theme.name}` })),
+        ];
+        const themeRow = createSelect(t`Synth Theme`, themeOptions, editingSynthId, v => {
+            editingSynthId = v;
+            renderSynthEditor();
+        });
+
+        const buttons = document.createElement('div');
+        buttons.classList.add('tip-custom-style-buttons');
+
+        const playButton = document.createElement('div');
+        playButton.classList.add('menu_button');
+        playButton.innerHTML = `<i class="fa-solid fa-play"></i> ${t`Play`}`;
+        playButton.addEventListener('click', () => playSynthLayers(synth.layers, settings.soundVolume));
+
+        const newButton = document.createElement('div');
+        newButton.classList.add('menu_button');
+        newButton.textContent = t`New Synth Theme`;
+        newButton.title = t`Start a new theme from a copy of this one`;
+        newButton.addEventListener('click', () => {
+            const theme = {
+                id: `synth_${Date.now().toString(36)}`,
+                name: `${t`Synth`} ${settings.synthThemes.length + 1}`,
+                layers: structuredClone(synth.layers),
             };
-            reader.readAsDataURL(file);
+            settings.synthThemes.push(theme);
+            editingSynthId = theme.id;
+            saveSettingsDebounced();
+            refreshSoundSettings();
+            renderSynthEditor();
+        });
+        buttons.append(playButton, newButton);
+
+        if (!custom) {
+            const hint = document.createElement('small');
+            hint.classList.add('tip-custom-style-hint');
+            hint.textContent = t`Built-in presets can't be edited. Use "New Synth Theme" to start from a copy.`;
+            synthBox.replaceChildren(themeRow, buttons, hint);
+            return;
         }
-    });
-    const customSoundClear = document.createElement('button');
-    customSoundClear.textContent = 'Clear';
-    customSoundClear.classList.add('menu_button');
-    customSoundClear.addEventListener('click', () => {
-        settings.customSoundFile = null;
-        audioCache.custom = null;
-        customSoundInput.value = '';
-        saveSettingsDebounced();
-    });
-    customSoundRow.append(customSoundLabel, customSoundInput, customSoundClear);
-    soundDrawer.content.append(customSoundRow);
+
+        const deleteButton = document.createElement('div');
+        deleteButton.classList.add('menu_button');
+        deleteButton.textContent = t`Delete`;
+        deleteButton.addEventListener('click', async () => {
+            const confirmed = await callGenericPopup(t`Delete the synth theme "${custom.name}"?`, POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            settings.synthThemes = settings.synthThemes.filter(theme => theme.id !== custom.id);
+            for (const key of ['soundTheme', 'userSoundTheme']) {
+                if (settings[key] === custom.id) settings[key] = defaultSettings[key];
+            }
+            editingSynthId = 'mechanical';
+            saveSettingsDebounced();
+            refreshSoundSettings();
+            renderSynthEditor();
+        });
+        buttons.append(deleteButton);
+
+        const nameRow = document.createElement('div');
+        nameRow.classList.add('typing-setting-row');
+        const nameLabel = document.createElement('label');
+        nameLabel.textContent = t`Theme Name`;
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.classList.add('text_pole');
+        nameInput.value = custom.name;
+        nameInput.addEventListener('change', () => {
+            custom.name = nameInput.value.trim() || custom.id;
+            saveSettingsDebounced();
+            refreshSoundSettings();
+            renderSynthEditor();
+        });
+        nameRow.append(nameLabel, nameInput);
+
+        const addLayerButton = document.createElement('div');
+        addLayerButton.classList.add('menu_button');
+        addLayerButton.innerHTML = `<i class="fa-solid fa-plus"></i> ${t`Add Layer`}`;
+        addLayerButton.classList.toggle('disabled', custom.layers.length >= MAX_SYNTH_LAYERS);
+        addLayerButton.addEventListener('click', () => {
+            if (custom.layers.length >= MAX_SYNTH_LAYERS) return;
+            custom.layers.push({ type: 'sine', startFreq: 800, endFreq: 400, attack: 0, decay: 40, gain: 0.5, jitter: 50 });
+            saveSettingsDebounced();
+            renderSynthEditor();
+        });
+
+        synthBox.replaceChildren(themeRow, buttons, nameRow, ...custom.layers.map(layer => createSynthLayerEditor(custom, layer)), addLayerButton);
+    };
+    renderSynthEditor();
+
+    // Audio policy: when sounds are silenced or lowered
+    soundDrawer.content.append(createHeader(t`When to Play`));
+    soundDrawer.content.append(
+        createCheckbox(t`Mute While the Tab Is Hidden`, settings.muteWhenHidden, v => settings.muteWhenHidden = v)
+    );
+
+    const quietHoursRow = document.createElement('div');
+    quietHoursRow.classList.add('typing-setting-row', 'tip-quiet-hours');
+    quietHoursRow.style.display = settings.quietHoursEnabled ? 'flex' : 'none';
+    const quietHoursLabel = document.createElement('label');
+    quietHoursLabel.textContent = t`Quiet From / Until`;
+    const createTimeInput = (key) => {
+        const input = document.createElement('input');
+        input.type = 'time';
+        input.classList.add('text_pole');
+        input.value = settings[key];
+        input.addEventListener('change', () => {
+            settings[key] = validateSetting(key, input.value).value;
+            input.value = settings[key];
+            saveSettingsDebounced();
+        });
+        return input;
+    };
+    quietHoursRow.append(quietHoursLabel, createTimeInput('quietHoursStart'), createTimeInput('quietHoursEnd'));
+
+    soundDrawer.content.append(
+        createCheckbox(t`Quiet Hours`, settings.quietHoursEnabled, v => {
+            settings.quietHoursEnabled = v;
+            quietHoursRow.style.display = v ? 'flex' : 'none';
+        }),
+        quietHoursRow,
+    );
+
+    const duckVolumeRow = document.createElement('div');
+    duckVolumeRow.classList.add('typing-setting-row');
+    duckVolumeRow.style.display = settings.ttsDucking === 'duck' ? 'flex' : 'none';
+    const duckVolumeLabel = document.createElement('label');
+    duckVolumeLabel.textContent = t`Volume While Ducked`;
+    const duckVolumeSlider = document.createElement('input');
+    duckVolumeSlider.type = 'range';
+    duckVolumeSlider.min = '0';
+    duckVolumeSlider.max = '1';
+    duckVolumeSlider.step = '0.1';
+    duckVolumeSlider.value = String(settings.ttsDuckVolume);
+    duckVolumeSlider.addEventListener('input', () => { settings.ttsDuckVolume = parseFloat(duckVolumeSlider.value); saveSettingsDebounced(); });
+    duckVolumeRow.append(duckVolumeLabel, duckVolumeSlider);
+
+    soundDrawer.content.append(
+        createSelect(t`While TTS Speaks`, TTS_DUCKING_OPTIONS, settings.ttsDucking, v => {
+            settings.ttsDucking = v;
+            duckVolumeRow.style.display = v === 'duck' ? 'flex' : 'none';
+        }),
+        duckVolumeRow,
+    );
 
     soundDrawer.content.append(
         createCheckbox(t`Simulate Typing Pauses`, settings.simulatePauses, v => settings.simulatePauses = v)
@@ -1556,6 +5104,26 @@ function addExtensionSettings(settings) {
         createCheckbox(t`Dynamic Sound Rhythm`, settings.dynamicRhythm, v => settings.dynamicRhythm = v)
     );
 
+    // Token-synced sounds
+    const tokenSoundRows = document.createElement('div');
+    tokenSoundRows.style.display = settings.soundSyncMode === 'tokens' ? 'block' : 'none';
+    tokenSoundRows.append(
+        createNumberInput(t`Characters per Click (0 = per word)`, settings.tokenSoundChars, '0', v => settings.tokenSoundChars = validateSetting('tokenSoundChars', v).value),
+        createNumberInput(t`Min Click Interval (ms)`, settings.tokenSoundMinIntervalMs, '70', v => settings.tokenSoundMinIntervalMs = validateSetting('tokenSoundMinIntervalMs', v).value),
+    );
+
+    soundDrawer.content.append(
+        createSelect(t`Sound Rhythm`, SOUND_SYNC_OPTIONS, settings.soundSyncMode, v => {
+            settings.soundSyncMode = v;
+            tokenSoundRows.style.display = v === 'tokens' ? 'block' : 'none';
+        }),
+        tokenSoundRows,
+    );
+
+    soundDrawer.content.append(
+        createCheckbox(t`Sync Animation Speed to Stream`, settings.syncAnimationSpeed, v => settings.syncAnimationSpeed = v)
+    );
+
     soundDrawer.content.append(
         createCheckbox(t`Sound on Stream Start`, settings.soundOnStreamStart, v => settings.soundOnStreamStart = v)
     );
@@ -1572,11 +5140,290 @@ function addExtensionSettings(settings) {
     );
 
     soundDrawer.content.append(
-        createCheckbox(t`Group Chat Support (Experimental)`, settings.groupChatSupport, v => settings.groupChatSupport = v)
+        createCheckbox(t`Group Chat Support`, settings.groupChatSupport, v => settings.groupChatSupport = v)
+    );
+
+    soundDrawer.content.append(
+        createCheckbox(t`Show Queued Group Members`, settings.groupShowQueue, v => settings.groupShowQueue = v)
     );
 
+    // ========== PRESETS ==========
+    const presetDrawer = createDrawerSection('💾 Presets');
+    inlineDrawerContent.append(presetDrawer.drawer);
+
+    const presetHint = document.createElement('small');
+    presetHint.style.opacity = '0.7';
+    presetHint.textContent = t`Export or import the complete look, sounds and custom sound files as a JSON preset.`;
+
+    const presetButtons = document.createElement('div');
+    presetButtons.style.cssText = 'display:flex;gap:6px;flex-wrap:wrap;';
+
+    const exportButton = document.createElement('button');
+    exportButton.classList.add('menu_button');
+    exportButton.innerHTML = `<i class="fa-solid fa-file-export"></i> ${t`Export`}`;
+    exportButton.addEventListener('click', () => exportPreset());
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.json,application/json';
+    importInput.hidden = true;
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (file) {
+            await importPreset(file);
+        }
+    });
+
+    const importButton = document.createElement('button');
+    importButton.classList.add('menu_button');
+    importButton.innerHTML = `<i class="fa-solid fa-file-import"></i> ${t`Import`}`;
+    importButton.addEventListener('click', () => importInput.click());
+
+    presetButtons.append(exportButton, importButton, importInput);
+    presetDrawer.content.append(presetHint, presetButtons);
+
     // Apply mobile mode on load
     updateMobileMode(settings.mobileMode);
+
+    return inlineDrawer;
+}
+
+/**
+ * Rebuild the settings drawer in place (e.g. after importing a preset)
+ */
+function rebuildExtensionSettings() {
+    const oldDrawer = document.getElementById('typing_indicator_plus_settings');
+    const oldContent = oldDrawer?.querySelector('.inline-drawer-content');
+    const wasOpen = oldContent && getComputedStyle(oldContent).display !== 'none';
+
+    const newDrawer = addExtensionSettings(getSettings());
+    if (!newDrawer) return;
+
+    if (oldDrawer) {
+        oldDrawer.replaceWith(newDrawer);
+    }
+
+    if (wasOpen) {
+        newDrawer.querySelector('.inline-drawer-content').style.display = 'block';
+        const icon = newDrawer.querySelector('.inline-drawer-icon');
+        icon?.classList.replace('fa-circle-chevron-down', 'fa-circle-chevron-up');
+        icon?.classList.replace('down', 'up');
+    }
+}
+
+const PRESET_FORMAT = 'typing-indicator-plus-preset';
+const PRESET_VERSION = 2; // v2: custom sounds travel in `sounds` instead of data URL settings
+
+/**
+ * Split imported settings into valid values and problems
+ * @param {object} importedSettings Settings object from a preset file
+ * @returns {{valid: object, problems: {key: string, reason: string}[]}}
+ */
+function parsePresetSettings(importedSettings) {
+    const valid = {};
+    const problems = [];
+
+    // Custom styles come first: `style` and profile overrides may use the ones in the same preset
+    const entries = Object.entries(importedSettings)
+        .sort(([a], [b]) => Number(b === 'customStyles') - Number(a === 'customStyles'));
+
+    for (const [key, value] of entries) {
+        if (!(key in defaultSettings)) {
+            problems.push({ key, reason: 'unknown setting' });
+            continue;
+        }
+
+        const { problem } = validateSetting(key, value, { customStyles: valid.customStyles });
+        if (problem) {
+            problems.push({ key, reason: problem });
+        } else {
+            valid[key] = value;
+        }
+    }
+
+    return { valid, problems };
+}
+
+/**
+ * Export every setting (and the custom sounds in use) as a preset file
+ */
+async function exportPreset() {
+    const settings = getSettings();
+    const preset = {
+        format: PRESET_FORMAT,
+        version: PRESET_VERSION,
+        settings: {},
+        sounds: {},
+    };
+
+    for (const key of Object.keys(defaultSettings)) {
+        preset.settings[key] = structuredClone(settings[key]);
+    }
+
+    // Library sounds in use are embedded, so the preset works in another browser
+    const usedIds = getUsedSoundIds(settings);
+    if (usedIds.length > 0) {
+        try {
+            for (const sound of await listStoredSounds()) {
+                if (usedIds.includes(sound.id)) {
+                    preset.sounds[sound.id] = { name: sound.name, dataUrl: await blobToDataUrl(sound.blob) };
+                }
+            }
+        } catch (e) {
+            console.warn('[TIP+] Custom sounds could not be added to the preset', e);
+        }
+    }
+
+    download(JSON.stringify(preset, null, 4), 'typing-indicator-plus-preset.json', 'application/json');
+}
+
+/**
+ * Build the confirmation popup content for a preset import
+ * @param {object} valid Valid settings that will be applied
+ * @param {{key: string, reason: string}[]} problems Skipped settings
+ * @param {number} soundCount Custom sounds that will be added to the library
+ * @returns {HTMLElement} Popup content
+ */
+function buildPresetPreview(valid, problems, soundCount) {
+    const container = document.createElement('div');
+    container.classList.add('tip-preset-preview');
+
+    const title = document.createElement('h3');
+    title.textContent = t`Import Typing Indicator+ preset`;
+
+    // Render the indicator with the imported settings applied
+    const previewSettings = { ...getSettings(), ...valid };
+    const preview = document.createElement('div');
+    preview.className = `typing_indicator_plus typing-style-${previewSettings.style} typing-theme-${previewSettings.animationTheme} visible`;
+    preview.innerHTML = generateIndicatorHTML(previewSettings);
+    applyIndicatorGlow(preview, previewSettings);
+
+    // A custom style from the preset isn't in the page's custom style sheet yet
+    const previewStyle = getCustomStyle(previewSettings.style, valid.customStyles);
+    if (previewStyle) {
+        const styleElement = document.createElement('style');
+        styleElement.textContent = scopeCss(previewStyle.css, `.tip-preset-preview .typing_indicator_plus.typing-style-${previewStyle.id}`);
+        preview.prepend(styleElement);
+    }
+
+    const summary = document.createElement('p');
+    summary.textContent = `${Object.keys(valid).length} ${t`settings will be imported`}` +
+        (soundCount ? `, ${t`including`} ${soundCount} ${t`custom sound(s)`}.` : '.');
+
+    container.append(title, preview, summary);
+
+    if (problems.length > 0) {
+        const problemsTitle = document.createElement('p');
+        problemsTitle.textContent = t`These entries are invalid and will be skipped:`;
+        const list = document.createElement('ul');
+        for (const { key, reason } of problems) {
+            const item = document.createElement('li');
+            item.textContent = `${key}: ${reason}`;
+            list.append(item);
+        }
+        container.append(problemsTitle, list);
+    }
+
+    return container;
+}
+
+/**
+ * Collect a preset's embedded custom sounds. v1 presets stored them as data URL settings,
+ * which are turned into temporary sound ids here.
+ * @param {object} preset Parsed preset file
+ * @returns {{settings: object, sounds: Object<string, {name: string, dataUrl: string}>}}
+ */
+function readPresetSounds(preset) {
+    const settings = { ...preset.settings };
+    const sounds = {};
+
+    for (const [id, sound] of Object.entries(preset.sounds ?? {})) {
+        if (SOUND_ID_PATTERN.test(id) && typeof sound?.dataUrl === 'string' && sound.dataUrl.startsWith('data:')) {
+            sounds[id] = { name: typeof sound.name === 'string' && sound.name ? sound.name : id, dataUrl: sound.dataUrl };
+        }
+    }
+
+    for (const [key, slot] of Object.entries(SOUND_SLOTS)) {
+        if (!(slot.legacyKey in settings)) continue;
+
+        const dataUrl = settings[slot.legacyKey];
+        delete settings[slot.legacyKey];
+        if (typeof dataUrl === 'string' && dataUrl.startsWith('data:')) {
+            const id = `sound_preset${Object.keys(sounds).length}`;
+            sounds[id] = { name: slot.label, dataUrl };
+            settings[key] = id;
+        }
+    }
+
+    return { settings, sounds };
+}
+
+/**
+ * Import a preset file after validating and previewing it
+ * @param {File} file Preset file
+ */
+async function importPreset(file) {
+    let preset;
+    try {
+        preset = JSON.parse(await file.text());
+    } catch (e) {
+        toastr.error(t`The file is not valid JSON.`, 'Typing Indicator+');
+        return;
+    }
+
+    if (preset?.format !== PRESET_FORMAT || !preset.settings || typeof preset.settings !== 'object') {
+        toastr.error(t`The file is not a Typing Indicator+ preset.`, 'Typing Indicator+');
+        return;
+    }
+
+    if (!Number.isInteger(preset.version) || preset.version > PRESET_VERSION) {
+        toastr.error(t`The preset was made by a newer version of Typing Indicator+.`, 'Typing Indicator+');
+        return;
+    }
+
+    const { settings: presetSettings, sounds } = readPresetSounds(preset);
+    const { valid, problems } = parsePresetSettings(presetSettings);
+    if (Object.keys(valid).length === 0) {
+        toastr.error(t`The preset contains no valid settings.`, 'Typing Indicator+');
+        return;
+    }
+
+    const usedSoundIds = new Set(getUsedSoundIds(valid).filter(id => sounds[id]));
+    const confirmed = await callGenericPopup(buildPresetPreview(valid, problems, usedSoundIds.size), POPUP_TYPE.CONFIRM, '', { okButton: t`Import` });
+    if (!confirmed) return;
+
+    // Store the embedded sounds in the library (unless this browser already has them) and point the settings at them
+    const storedIds = new Set((await listStoredSounds().catch(() => [])).map(sound => sound.id));
+    const newIds = new Map();
+    for (const id of usedSoundIds) {
+        if (storedIds.has(id)) continue;
+        try {
+            const blob = await (await fetch(sounds[id].dataUrl)).blob();
+            newIds.set(id, await addStoredSound(blob, sounds[id].name));
+        } catch (e) {
+            problems.push({ key: sounds[id].name, reason: 'custom sound could not be stored' });
+            newIds.set(id, null);
+        }
+    }
+    for (const key of Object.keys(SOUND_SLOTS)) {
+        if (newIds.has(valid[key])) valid[key] = newIds.get(valid[key]);
+    }
+    for (const entry of Object.values(valid.userKeySounds ?? {})) {
+        if (newIds.has(entry.sound)) entry.sound = newIds.get(entry.sound) ?? 'auto';
+    }
+
+    Object.assign(getSettings(), structuredClone(valid));
+    saveSettingsDebounced();
+
+    // Reload bundled + custom sounds without a page refresh
+    await initAudioFiles();
+    updateCustomStyleSheet();
+    rebuildExtensionSettings();
+    refreshIndicator();
+
+    console.log(`[TIP+] Preset imported: ${Object.keys(valid).length} settings, ${problems.length} skipped`, problems);
+    toastr.success(t`Preset imported.`, 'Typing Indicator+');
 }
 
 /**
@@ -1619,7 +5466,7 @@ function getUserAvatar() {
  */
 let userTypingTimeout = null;
 function showUserTypingIndicator(event) {
-    const settings = getSettings();
+    const settings = getEffectiveSettings();
     if (!settings.enabled || !settings.userTypingEnabled) return;
 
     // Skip rendering indicator if it's a non-typing key
@@ -1639,15 +5486,21 @@ function showUserTypingIndicator(event) {
         userTypingTimeout = null;
     }
 
-    // Play sound on each keystroke if enabled
+    // Play the sound mapped to this kind of keystroke if enabled
     if (settings.userSoundEnabled) {
-        playTypingSound(settings.soundVolume * (0.7 + Math.random() * 0.3), settings.userSoundTheme || 'ios', true, event ? event.key : null);
+        playUserKeySound(settings, getKeyClass(event), settings.userSoundVolume * (0.7 + Math.random() * 0.3));
     }
 
     let indicator = document.getElementById('typing_indicator_user');
 
-    // Only update DOM if indicator doesn't exist
-    if (!indicator) {
+    // Only update DOM if indicator doesn't exist (the text may still rotate while typing)
+    if (indicator) {
+        updateIndicatorText(true);
+    } else {
+        userIndicatorShownAt = Date.now();
+        phraseRotation.user = null;
+        resolvedTexts.user.clear();
+
         // Get indicator content with unified styling
         const htmlContent = generateIndicatorHTML(settings, true);
 
@@ -1688,32 +5541,390 @@ function hideUserTypingIndicator() {
     if (el) el.remove();
 }
 
+/**
+ * Show the character indicator outside of a generation, or change the text of the visible one
+ * @param {string|null} [text] Text to show instead of the configured one ({{char}} is supported)
+ */
+function showIndicatorManually(text = null) {
+    textOverride = text ?? null;
+    if (isIndicatorVisible) {
+        refreshIndicator();
+    } else {
+        showTypingIndicator('manual', {}, false);
+    }
+}
+
+/**
+ * Replace the text of the character indicator until it hides
+ * @param {string|null} text New text ({{char}} is supported), null to go back to the configured text
+ */
+function setIndicatorText(text) {
+    textOverride = text ?? null;
+    refreshIndicator();
+}
+
+/**
+ * Force the visible character indicator into a state
+ * @param {'typing'|'thinking'|'paused'|'stalled'} state New state
+ * @returns {boolean} False if the indicator is not visible
+ */
+function setIndicatorState(state) {
+    const indicator = document.getElementById('typing_indicator_plus');
+    if (!indicator || !isIndicatorVisible) return false;
+
+    switch (state) {
+        case 'typing':
+        case 'thinking':
+            isIndicatorPaused = false;
+            isIndicatorStalled = false;
+            if ((state === 'thinking') !== isCharThinking) {
+                // A real transition: runs the thinking timer and emits the event
+                setCharThinking(state === 'thinking');
+                return true;
+            }
+            refreshIndicator();
+            break;
+        case 'paused':
+            isIndicatorPaused = true;
+            indicator.classList.add('paused');
+            break;
+        case 'stalled':
+            // setStalled() emits the event itself
+            setStalled(true);
+            return true;
+        default:
+            throw new Error(`[TIP+] Unknown indicator state "${state}"`);
+    }
+
+    emitIndicatorEvent(state);
+    return true;
+}
+
+/**
+ * Play a scripted lifecycle with the real indicator, sounds and animation:
+ * typing, random pauses, thinking, typing again, then hide.
+ * @param {() => void} [onDone] Called when the simulation ends or is stopped
+ * @returns {boolean} False if the indicator could not be shown
+ */
+function runSimulation(onDone) {
+    stopSimulation(true);
+    showTypingIndicator('simulation', {}, false);
+    if (!isIndicatorVisible) return false;
+
+    const steps = [
+        // First "token" starts deferred sounds, as streaming would
+        [600, () => handleStreamToken()],
+        [1500 + Math.random() * 500, () => setIndicatorState('paused')],
+        [2300 + Math.random() * 300, () => setIndicatorState('typing')],
+        [3200 + Math.random() * 400, () => setIndicatorState('paused')],
+        [3700 + Math.random() * 300, () => setIndicatorState('typing')],
+        [4500, () => setIndicatorState('thinking')],
+        [7500, () => setIndicatorState('typing')],
+        [10000, () => stopSimulation(true)],
+    ];
+
+    simulationOnDone = onDone ?? null;
+    simulationTimeouts = steps.map(([delay, step]) => setTimeout(step, delay));
+    return true;
+}
+
+/**
+ * Cancel a running simulation
+ * @param {boolean} hide Also hide the indicator (false when a real generation takes over)
+ */
+function stopSimulation(hide) {
+    if (simulationTimeouts.length === 0) return;
+
+    simulationTimeouts.forEach(clearTimeout);
+    simulationTimeouts = [];
+
+    if (hide) {
+        hideTypingIndicator();
+    }
+
+    const onDone = simulationOnDone;
+    simulationOnDone = null;
+    onDone?.();
+}
+
+/**
+ * Get a snapshot of the indicator state (returned by `/typing state`)
+ * @returns {object} Current state
+ */
+function getIndicatorState() {
+    const settings = getEffectiveSettings();
+    return {
+        visible: isIndicatorVisible,
+        thinking: isCharThinking,
+        thinkingDetector: activeThinkingDetector,
+        paused: isIndicatorPaused,
+        stalled: isIndicatorStalled,
+        ended: endState,
+        text: textOverride,
+        style: settings.style,
+        position: settings.position,
+        animationTheme: settings.animationTheme,
+        soundTheme: settings.soundTheme,
+        soundEnabled: settings.soundEnabled,
+    };
+}
+
+/**
+ * Expose the public API for other extensions as `window.TypingIndicatorPlus`
+ */
+function exposePublicApi() {
+    window.TypingIndicatorPlus = Object.freeze({
+        events: INDICATOR_EVENTS,
+        show: showIndicatorManually,
+        hide: hideTypingIndicator,
+        setText: setIndicatorText,
+        setState: setIndicatorState,
+        getState: getIndicatorState,
+        /**
+         * Lower or silence typing sounds (per the TTS ducking setting) while your extension speaks
+         * @param {boolean} [active] false to release
+         */
+        duck(active = true) {
+            isExternallyDucked = !!active;
+        },
+        /**
+         * Subscribe to a lifecycle event
+         * @param {string} event One of `events`
+         * @param {(detail: object) => void} listener Called with `{ event, ...detail }`
+         * @returns {() => void} Unsubscribe function
+         */
+        on(event, listener) {
+            const listeners = indicatorListeners.get(event);
+            if (!listeners) {
+                throw new Error(`[TIP+] Unknown event "${event}", expected one of: ${INDICATOR_EVENTS.join(', ')}`);
+            }
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        /**
+         * Unsubscribe from a lifecycle event
+         * @param {string} event Event name
+         * @param {Function} listener Listener passed to `on`
+         */
+        off(event, listener) {
+            indicatorListeners.get(event)?.delete(listener);
+        },
+    });
+}
+
+/**
+ * Register the /typing slash command family
+ */
+function registerSlashCommands() {
+    const actions = {
+        show: 'show the indicator, optionally with text="..."',
+        hide: 'hide the indicator',
+        style: 'set the global visual style',
+        position: 'set the position',
+        animation: 'set the global animation theme',
+        sound: 'set the global character sound theme',
+        mute: 'mute all sounds (same as the Mute All Sounds toggle)',
+        unmute: 'unmute all sounds (same as the Mute All Sounds toggle)',
+        state: 'return the current state as JSON',
+    };
+
+    // Global (not per-character) settings changed by commands, with their allowed values
+    const choices = {
+        style: { key: 'style', getOptions: getStyleOptions },
+        position: { key: 'position', getOptions: () => POSITION_OPTIONS },
+        animation: { key: 'animationTheme', getOptions: () => ANIMATION_THEME_OPTIONS },
+        sound: { key: 'soundTheme', getOptions: getSoundThemeOptions },
+    };
+
+    const callback = (args, value) => {
+        const [action = 'state', ...rest] = String(value ?? '').trim().split(/\s+/);
+        const argument = rest.join(' ');
+        const settings = getSettings();
+
+        switch (action.toLowerCase()) {
+            case 'show': {
+                showIndicatorManually(args.text ? String(args.text) : null);
+                break;
+            }
+            case 'hide':
+                hideTypingIndicator();
+                break;
+            case 'style':
+            case 'position':
+            case 'animation':
+            case 'sound': {
+                const { key, getOptions } = choices[action.toLowerCase()];
+                const options = getOptions();
+                if (!options.some(o => o.value === argument)) {
+                    const allowed = options.map(o => o.value).join(', ');
+                    toastr.warning(`Unknown ${action} "${argument}". Allowed: ${allowed}`, 'Typing Indicator+');
+                    return '';
+                }
+                settings[key] = argument;
+                saveSettingsDebounced();
+                // An open drawer would otherwise show, and on its next change save, the old value
+                syncSettingControl?.(key);
+                refreshIndicator();
+                break;
+            }
+            case 'mute':
+            case 'unmute':
+                // The master mute, so unmuting can't leave the drawer toggle silencing everything
+                settings.masterMute = action.toLowerCase() === 'mute';
+                saveSettingsDebounced();
+                syncSettingControl?.('masterMute');
+                break;
+            case 'state':
+                break;
+            default:
+                toastr.warning(`Unknown /typing action "${action}"`, 'Typing Indicator+');
+                return '';
+        }
+
+        return JSON.stringify(getIndicatorState());
+    };
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'typing',
+        callback,
+        returns: 'the indicator state as a JSON object',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'text',
+                description: 'text to show with "show", supports {{char}}',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'action, followed by a value for style/position/animation/sound',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+                enumList: Object.entries(actions).map(([name, description]) => new SlashCommandEnumValue(name, description)),
+            }),
+        ],
+        helpString: `
+            <div>Control the Typing Indicator+ from STscript. Returns the current state as JSON.</div>
+            <div><strong>Examples:</strong></div>
+            <ul>
+                <li><pre><code>/typing show text="{{char}} is plotting..."</code></pre></li>
+                <li><pre><code>/typing hide</code></pre></li>
+                <li><pre><code>/typing style discord</code></pre></li>
+                <li><pre><code>/typing position floating</code></pre></li>
+                <li><pre><code>/typing animation wave</code></pre></li>
+                <li><pre><code>/typing sound osu</code></pre></li>
+                <li><pre><code>/typing mute</code></pre></li>
+                <li><pre><code>/typing state</code></pre></li>
+            </ul>
+            <div><code>mute</code>/<code>unmute</code> switch the <b>Mute All Sounds</b> toggle. The individual sound toggles stay as they are.</div>
+        `,
+    }));
+}
+
 // Initialize
 (function () {
+    migrateSettings();
     const settings = getSettings();
+    updateCustomStyleSheet();
     addExtensionSettings(settings);
+    registerSlashCommands();
+    exposePublicApi();
 
     // Initialize audio files (bundled + custom sounds)
     initAudioFiles();
 
     const showEvents = [event_types.GENERATION_AFTER_COMMANDS];
     const hideEvents = [event_types.GENERATION_STOPPED, event_types.GENERATION_ENDED, event_types.CHAT_CHANGED];
-    const chunkEvents = [event_types.CHARACTER_MESSAGE_RENDERED];
 
     showEvents.forEach(e => eventSource.on(e, showTypingIndicator));
+    eventSource.on(event_types.GENERATION_AFTER_COMMANDS, (_type, _args, dryRun) => {
+        if (!dryRun) isGenerationRunning = true;
+    });
     hideEvents.forEach(e => {
         eventSource.on(e, () => {
-            typingCharacters.clear();
-            hideTypingIndicator();
+            isGenerationRunning = false;
+            // Inside a group round, keep the indicator up between members so it can switch in place
+            if (e === event_types.GENERATION_ENDED && groupWrapperRunning && getSettings().groupChatSupport) {
+                if (streamStats.firstTokenAt && groupActiveAvatar) {
+                    groupMemberReplies.set(groupActiveAvatar, true);
+                }
+                return;
+            }
+            if (e !== event_types.GENERATION_ENDED) {
+                groupWrapperRunning = false;
+            }
+            resetGroupState();
+
+            switch (e) {
+                case event_types.CHAT_CHANGED:
+                    hideTypingIndicator(true);
+                    break;
+                case event_types.GENERATION_STOPPED:
+                    endTypingIndicator('stopped');
+                    break;
+                default:
+                    // Ended without a single token or message: the backend failed
+                    endTypingIndicator(generationReplied || streamStats.firstTokenAt ? 'success' : 'failed');
+                    break;
+            }
         });
     });
-    chunkEvents.forEach(e => eventSource.on(e, handleMessageChunk));
+
+    // A received message means the generation produced something, even without streaming.
+    // Greetings, /sendas and other inserts outside a generation are no reply.
+    eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
+        if (!isGenerationRunning) return;
+        generationReplied = true;
+        if (groupActiveAvatar) {
+            groupMemberReplies.set(groupActiveAvatar, true);
+        }
+        replyMessageId = messageId;
+        receiveSoundMessageId = messageId;
+    });
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, handleCharacterMessageRendered);
+
+    // Background activity: notify about the reply, and switch the tab title when the window loses or gains focus
+    eventSource.on(event_types.GENERATION_ENDED, notifyReply);
+    window.addEventListener('focus', updateTabActivity);
+    window.addEventListener('blur', updateTabActivity);
+
+    // Group chats - follow the drafted member and hide once the whole round is done
+    eventSource.on(event_types.GROUP_MEMBER_DRAFTED, handleGroupMemberDrafted);
+    eventSource.on(event_types.GROUP_WRAPPER_STARTED, () => {
+        groupWrapperRunning = true;
+        groupMemberReplies.clear();
+    });
+    eventSource.on(event_types.GROUP_WRAPPER_FINISHED, () => {
+        groupWrapperRunning = false;
+        // A drafted member that produced nothing fails the round, shown with that member's name
+        const silentMember = [...groupMemberReplies].find(([, replied]) => !replied)?.[0];
+        // A stopped round keeps its end state until it fades out by itself
+        if (!endState) {
+            if (silentMember) {
+                groupActiveAvatar = silentMember;
+                groupQueue = [];
+                endTypingIndicator('failed');
+            } else {
+                hideTypingIndicator();
+            }
+        }
+        resetGroupState();
+    });
 
     // Streaming token event - trigger sounds when streaming starts
     eventSource.on(event_types.STREAM_TOKEN_RECEIVED, handleStreamToken);
 
+    // Keep the "This Character" settings section pointed at the current chat
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        refreshProfileSection?.();
+        refreshSettingsPreview?.();
+    });
+
     // Hide user typing indicator when message is sent
-    eventSource.on(event_types.MESSAGE_SENT, hideUserTypingIndicator);
+    eventSource.on(event_types.MESSAGE_SENT, () => {
+        hideUserTypingIndicator();
+        playMessageSound('send');
+    });
 
     // User typing indicator - listen to keydown events (for backspace detection)
     const textarea = document.getElementById('send_textarea');
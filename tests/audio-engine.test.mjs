@@ -0,0 +1,50 @@
+/**
+ * Every sound counts toward the polyphony cap, and no audio context is created before something plays.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { eventSource, event_types } from './support/sillytavern/script.js';
+import { extension_settings } from './support/sillytavern/extensions.js';
+import { audio, installWebAudio } from './support/web-audio.mjs';
+
+const MAX_VOICES = 8;
+
+before(async () => {
+    installWebAudio(dom.window);
+    // Serve the bundled sound packs from disk, so they are decoded at load like in the browser
+    const { fetch } = globalThis;
+    globalThis.fetch = async url => {
+        if (!String(url).startsWith('file:')) return fetch(url);
+        const file = await readFile(new URL(String(url))).catch(() => null);
+        return file ? new Response(file) : new Response(null, { status: 404 });
+    };
+    await loadExtension();
+    Object.assign(extension_settings.typing_indicator_plus, {
+        sendSoundEnabled: true,
+        userSoundTheme: 'mechanical',
+        masterMute: false,
+        muteWhenHidden: false,
+        quietHoursEnabled: false,
+    });
+});
+
+after(() => dom.window.close());
+
+test('loading the extension decodes the bundled sounds without creating an audio context', () => {
+    assert.ok(audio.soundsDecoded > 0, 'no sounds decoded');
+    assert.equal(audio.contextsCreated, 0);
+});
+
+test('synthesized sounds are capped at the voice limit', async () => {
+    for (let i = 0; i < 20; i++) {
+        await eventSource.emit(event_types.MESSAGE_SENT);
+    }
+
+    assert.ok(audio.sources.length > MAX_VOICES, `only ${audio.sources.length} sources started`);
+    assert.equal(audio.sources.filter(source => source.playing).length, MAX_VOICES);
+    assert.equal(audio.contextsCreated, 1);
+});
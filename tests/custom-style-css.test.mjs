@@ -0,0 +1,75 @@
+/**
+ * Custom style CSS must stay scoped to the indicator using that style.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { extension_settings } from './support/sillytavern/extensions.js';
+
+const SCOPE = '.typing_indicator_plus.typing-style-custom_hostile';
+
+const CSS = `
+@import url("https://example.com/evil.css");
+@charset "utf-8";
+@layer base, theme;
+& .typing-text { color: gold; }
+body { display: none; }
+.a, & .b { color: red; }
+@media (max-width: 600px) { body { background: red; } @page { margin: 0; } }
+@supports (display: grid) { #chat { display: none; } }
+@scope (body) { div { display: none; } }
+@page { margin: 0; }
+@starting-style { body { opacity: 0; } }
+@keyframes tipSpin { from { transform: rotate(0); } to { transform: rotate(1turn); } }
+@font-face { font-family: "Tip"; src: url("tip.woff2"); }
+@property --tip-x { syntax: "<length>"; inherits: true; initial-value: 0px; }
+`;
+
+const STYLE_RULE = 1;
+const KEYFRAMES_RULE = 7;
+
+let sheet;
+
+/**
+ * Top-level rules of the generated sheet, flattening the scoped grouping rules
+ * @param {CSSRuleList} rules
+ * @returns {CSSRule[]}
+ */
+function flattenRules(rules) {
+    return [...rules].flatMap(rule => rule.cssRules && rule.type !== KEYFRAMES_RULE ? [rule, ...flattenRules(rule.cssRules)] : [rule]);
+}
+
+before(async () => {
+    extension_settings.typing_indicator_plus = {
+        customStyles: [{ id: 'custom_hostile', name: 'Hostile', template: '{{text}}', css: CSS }],
+    };
+    await loadExtension();
+    sheet = document.getElementById('typing_indicator_plus_custom_css');
+});
+
+after(() => dom.window.close());
+
+test('every style rule is scoped, including inside @media and @supports', () => {
+    const styleRules = flattenRules(sheet.sheet.cssRules).filter(rule => rule.type === STYLE_RULE);
+
+    assert.ok(styleRules.length >= 5);
+    for (const rule of styleRules) {
+        for (const selector of rule.selectorText.split(',')) {
+            assert.ok(selector.trim().startsWith(SCOPE), `unscoped selector: ${selector}`);
+        }
+    }
+    assert.match(sheet.textContent, new RegExp(`${SCOPE.replace(/\./g, '\\.')} \\.typing-text \\{ color: gold; \\}`));
+});
+
+test('@keyframes and @font-face are kept', () => {
+    assert.match(sheet.textContent, /@keyframes tipSpin \{/);
+    assert.match(sheet.textContent, /@font-face \{ font-family: "Tip"/);
+});
+
+test('every other at-rule is dropped', () => {
+    for (const rule of ['@import', '@charset', '@layer base', '@scope', '@page', '@starting-style', '@property', 'evil.css']) {
+        assert.ok(!sheet.textContent.includes(rule), `${rule} survived`);
+    }
+});
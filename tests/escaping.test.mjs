@@ -0,0 +1,199 @@
+/**
+ * Hostile names, texts and avatar URLs must render as plain text in every indicator.
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { characters, eventSource, event_types, setContext } from './support/sillytavern/script.js';
+import { extension_settings } from './support/sillytavern/extensions.js';
+import { group_activation_strategy, setGroup } from './support/sillytavern/group-chats.js';
+
+const HOSTILE_NAMES = [
+    '<img src=x onerror=alert(1)>',
+    '"><script>alert(1)</script>',
+    '\'><svg onload=alert(1)>',
+    'javascript:alert(1)',
+    '{{user}} & {{char}}',
+    '<b onmouseover=alert(1)>Bold</b>',
+];
+
+const STYLES = ['classic', 'speech_bubble', 'bouncing_dots', 'pulsing_avatar', 'wave_dots', 'minimal', 'discord'];
+
+// The only inline handler the indicator markup itself uses
+const OWN_ONERROR = 'this.style.display=\'none\'';
+
+let settings;
+
+/**
+ * Assert an indicator contains no markup that came from its inputs
+ * @param {HTMLElement} indicator Rendered indicator
+ * @param {string} context Shown on failure
+ */
+function assertNoInjectedMarkup(indicator, context) {
+    assert.ok(indicator, `${context}: indicator was not rendered`);
+    // The animated dots are the indicator's own SVG
+    const injected = [...indicator.querySelectorAll('script, svg, iframe, object, embed, style, link')]
+        .filter(element => !element.closest('.typing-dots-container'));
+    assert.deepEqual(injected.map(element => element.outerHTML), [], `${context}: injected element`);
+
+    for (const element of indicator.querySelectorAll('*')) {
+        for (const { name, value } of element.attributes) {
+            if (!name.startsWith('on')) continue;
+            assert.ok(element.tagName === 'IMG' && name === 'onerror' && value === OWN_ONERROR,
+                `${context}: unexpected ${name}="${value}" on <${element.tagName.toLowerCase()}>`);
+        }
+    }
+
+    for (const image of indicator.querySelectorAll('img')) {
+        assert.doesNotMatch(image.getAttribute('src'), /^\s*javascript:|^x$/i, `${context}: unsafe image source`);
+    }
+}
+
+function showCharacterIndicator() {
+    window.TypingIndicatorPlus.show();
+    return document.getElementById('typing_indicator_plus');
+}
+
+function typeKey(key) {
+    document.getElementById('send_textarea').dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    return document.getElementById('typing_indicator_user');
+}
+
+before(async () => {
+    await loadExtension();
+    settings = extension_settings.typing_indicator_plus;
+});
+
+beforeEach(() => {
+    window.TypingIndicatorPlus.hide();
+    document.getElementById('typing_indicator_plus')?.remove();
+    document.getElementById('typing_indicator_user')?.remove();
+    document.getElementById('avatar_load_preview').setAttribute('src', '');
+    setContext({ user: 'User', char: 'Character', userAvatar: '' });
+    setGroup(null, []);
+    characters.length = 0;
+    Object.assign(settings, {
+        enabled: true,
+        style: 'classic',
+        showAvatar: true,
+        userTypingEnabled: true,
+        showUserAvatar: true,
+        userSoundEnabled: false,
+        soundEnabled: false,
+        groupChatSupport: false,
+        customText: '{{char}} is typing...',
+        userCustomText: '{{user}} is typing...',
+    });
+});
+
+after(() => {
+    window.TypingIndicatorPlus.hide();
+    document.getElementById('typing_indicator_user')?.remove();
+    dom.window.close();
+});
+
+test('hostile character names render as text in every style', () => {
+    for (const style of STYLES) {
+        for (const name of HOSTILE_NAMES) {
+            settings.style = style;
+            setContext({ char: name });
+            const indicator = showCharacterIndicator();
+            const context = `${style} / ${name}`;
+
+            assertNoInjectedMarkup(indicator, context);
+            // Discord shows the name in its own element; every other style has it in the text
+            assert.ok(indicator.textContent.includes(name), `${context}: name missing from the text`);
+            window.TypingIndicatorPlus.hide();
+        }
+    }
+});
+
+test('hostile user names render as text in the user indicator', () => {
+    for (const style of STYLES) {
+        for (const name of HOSTILE_NAMES) {
+            settings.style = style;
+            setContext({ user: name, userAvatar: `${name}.png` });
+            document.getElementById('typing_indicator_user')?.remove();
+            const indicator = typeKey('a');
+            const context = `user ${style} / ${name}`;
+
+            assertNoInjectedMarkup(indicator, context);
+            assert.ok(indicator.textContent.includes(name), `${context}: name missing from the text`);
+        }
+    }
+});
+
+test('macro text inside a name is not evaluated', () => {
+    setContext({ user: 'Alice', char: '{{user}}' });
+    const indicator = showCharacterIndicator();
+
+    assert.match(indicator.textContent, /\{\{user\}\} is typing/);
+    assert.doesNotMatch(indicator.textContent, /Alice/);
+});
+
+test('hostile group member names render as text, including the "Next:" hint', () => {
+    settings.groupChatSupport = true;
+    settings.groupShowQueue = true;
+    characters.push(
+        { name: HOSTILE_NAMES[0], avatar: 'first.png' },
+        { name: HOSTILE_NAMES[1], avatar: 'second.png' },
+    );
+    setGroup('group', [{ id: 'group', members: ['first.png', 'second.png'], activation_strategy: group_activation_strategy.LIST }]);
+
+    eventSource.emit(event_types.GROUP_MEMBER_DRAFTED, 0);
+    const indicator = showCharacterIndicator();
+
+    assertNoInjectedMarkup(indicator, 'group');
+    assert.ok(indicator.textContent.includes(HOSTILE_NAMES[0]), 'drafted member name missing');
+    assert.ok(indicator.querySelector('.typing-next-up').textContent.includes(HOSTILE_NAMES[1]), 'next member name missing');
+    for (const image of indicator.querySelectorAll('img')) {
+        assert.ok(image.alt === HOSTILE_NAMES[0] || image.alt === HOSTILE_NAMES[1], `alt text altered: ${image.alt}`);
+    }
+});
+
+test('javascript: and attribute-breaking avatar URLs are not rendered', () => {
+    for (const url of ['javascript:alert(1)', ' JavaScript:alert(1)', 'x" onerror="alert(1)', 'vbscript:msgbox(1)']) {
+        document.getElementById('avatar_load_preview').setAttribute('src', url);
+        const indicator = showCharacterIndicator();
+
+        assertNoInjectedMarkup(indicator, `avatar ${url}`);
+        for (const image of indicator.querySelectorAll('img')) {
+            assert.doesNotMatch(image.getAttribute('src'), /script:/i);
+        }
+        window.TypingIndicatorPlus.hide();
+    }
+});
+
+test('safe avatar URLs are kept', () => {
+    document.getElementById('avatar_load_preview').setAttribute('src', '/thumbnail?type=avatar&file=Seraphina.png');
+    const indicator = showCharacterIndicator();
+
+    assert.equal(indicator.querySelector('.typing-avatar img')?.getAttribute('src'), 'http://localhost:8000/thumbnail?type=avatar&file=Seraphina.png');
+});
+
+test('bold and italic still render, other markup in texts stays text', () => {
+    settings.customText = '**{{char}}** is *typing* <b>now</b> <em>really</em> <img src=x onerror=alert(1)> 🎉';
+    setContext({ char: '<i>Evil</i>' });
+    const indicator = showCharacterIndicator();
+    const text = indicator.querySelector('.typing-live-text');
+
+    assertNoInjectedMarkup(indicator, 'formatted text');
+    const bold = [...text.querySelectorAll('b')].map(element => element.textContent);
+    assert.deepEqual(bold, ['<i>Evil</i>', 'now']);
+    assert.deepEqual([...text.querySelectorAll('i')].map(element => element.textContent), ['typing']);
+    assert.deepEqual([...text.querySelectorAll('em')].map(element => element.textContent), ['really']);
+    assert.ok(text.textContent.includes('<img src=x onerror=alert(1)>'), 'unsupported tag should be shown as text');
+    assert.ok(text.textContent.includes('🎉'), 'emoji should pass through');
+});
+
+test('formatting in the user text renders, the user name stays text', () => {
+    settings.userCustomText = '*{{user}}* is **typing**';
+    setContext({ user: '**not bold**' });
+    const indicator = typeKey('b');
+    const text = indicator.querySelector('.typing-live-text');
+
+    assert.deepEqual([...text.querySelectorAll('i')].map(element => element.textContent), ['**not bold**']);
+    assert.deepEqual([...text.querySelectorAll('b')].map(element => element.textContent), ['typing']);
+});
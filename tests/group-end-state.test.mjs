@@ -0,0 +1,73 @@
+/**
+ * A group round where a drafted member produced no reply ends in the "failed" state.
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { characters, eventSource, event_types } from './support/sillytavern/script.js';
+import { extension_settings } from './support/sillytavern/extensions.js';
+import { group_activation_strategy, setGroup } from './support/sillytavern/group-chats.js';
+
+/**
+ * Run one member's turn of a group round
+ * @param {number} chId Character index of the member
+ * @param {boolean} replies Whether the member's reply arrives
+ */
+async function memberTurn(chId, replies) {
+    await eventSource.emit(event_types.GROUP_MEMBER_DRAFTED, chId);
+    await eventSource.emit(event_types.GENERATION_AFTER_COMMANDS, 'normal');
+    if (replies) {
+        await eventSource.emit(event_types.MESSAGE_RECEIVED, chId);
+    }
+    await eventSource.emit(event_types.GENERATION_ENDED);
+}
+
+before(async () => {
+    await loadExtension();
+    Object.assign(extension_settings.typing_indicator_plus, {
+        groupChatSupport: true,
+        showEndStates: true,
+        soundEnabled: false,
+    });
+    characters.push({ name: 'Alice', avatar: 'alice.png' }, { name: 'Bob', avatar: 'bob.png' });
+    setGroup('group', [{ id: 'group', members: ['alice.png', 'bob.png'], activation_strategy: group_activation_strategy.LIST }]);
+});
+
+beforeEach(() => window.TypingIndicatorPlus.hide());
+
+after(() => {
+    window.TypingIndicatorPlus.hide();
+    dom.window.close();
+});
+
+test('a round where every member replied just hides', async () => {
+    await eventSource.emit(event_types.GROUP_WRAPPER_STARTED);
+    await memberTurn(0, true);
+    await memberTurn(1, true);
+    await eventSource.emit(event_types.GROUP_WRAPPER_FINISHED);
+
+    assert.equal(window.TypingIndicatorPlus.getState().ended, null);
+    assert.equal(window.TypingIndicatorPlus.getState().visible, false);
+});
+
+test('a member without a reply shows the failed state with that member\'s name', async () => {
+    await eventSource.emit(event_types.GROUP_WRAPPER_STARTED);
+    await memberTurn(0, false);
+    await memberTurn(1, true);
+    await eventSource.emit(event_types.GROUP_WRAPPER_FINISHED);
+
+    assert.equal(window.TypingIndicatorPlus.getState().ended, 'failed');
+    assert.match(document.getElementById('typing_indicator_plus').textContent, /Alice/);
+});
+
+test('a stopped round keeps the stopped state', async () => {
+    await eventSource.emit(event_types.GROUP_WRAPPER_STARTED);
+    await eventSource.emit(event_types.GROUP_MEMBER_DRAFTED, 0);
+    await eventSource.emit(event_types.GENERATION_AFTER_COMMANDS, 'normal');
+    await eventSource.emit(event_types.GENERATION_STOPPED);
+    await eventSource.emit(event_types.GROUP_WRAPPER_FINISHED);
+
+    assert.equal(window.TypingIndicatorPlus.getState().ended, 'stopped');
+});
@@ -0,0 +1,54 @@
+/**
+ * Macros in the indicator text are resolved once per text; only the live counters change while it is shown.
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { extension_settings } from './support/sillytavern/extensions.js';
+
+// The indicator text refreshes once per second
+const TICK = 1100;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function indicatorText() {
+    return document.querySelector('#typing_indicator_plus .typing-live-text').textContent;
+}
+
+before(async () => {
+    await loadExtension();
+    Object.assign(extension_settings.typing_indicator_plus, {
+        enabled: true,
+        style: 'classic',
+        soundEnabled: false,
+        customText: '{{random::alpha::beta::gamma}} for {{elapsed}}',
+    });
+});
+
+beforeEach(() => window.TypingIndicatorPlus.hide());
+
+after(() => {
+    window.TypingIndicatorPlus.hide();
+    dom.window.close();
+});
+
+test('{{random}} keeps its pick while {{elapsed}} counts up', async () => {
+    window.TypingIndicatorPlus.show();
+    const [pick] = indicatorText().split(' ');
+
+    await wait(2 * TICK);
+    const text = indicatorText();
+    assert.equal(text.split(' ')[0], pick, `re-rolled: "${text}"`);
+    assert.match(text, /for [1-9]/, `elapsed time not updated: "${text}"`);
+});
+
+test('showing the indicator again resolves the macros again', () => {
+    window.TypingIndicatorPlus.show();
+    const first = indicatorText().split(' ')[0];
+    window.TypingIndicatorPlus.hide();
+    window.TypingIndicatorPlus.show();
+
+    assert.notEqual(indicatorText().split(' ')[0], first);
+});
@@ -0,0 +1,74 @@
+/**
+ * Only a message produced by a running generation counts as a reply: it plays the receive sound
+ * and marks the generation as answered. Greetings, /sendas and other inserts don't.
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { eventSource, event_types } from './support/sillytavern/script.js';
+import { extension_settings } from './support/sillytavern/extensions.js';
+import { audio, installWebAudio } from './support/web-audio.mjs';
+
+/**
+ * A character message arrives and is rendered
+ * @param {number} messageId Chat index
+ */
+async function receiveMessage(messageId) {
+    await eventSource.emit(event_types.MESSAGE_RECEIVED, messageId);
+    await eventSource.emit(event_types.CHARACTER_MESSAGE_RENDERED, messageId);
+}
+
+before(async () => {
+    installWebAudio(dom.window);
+    await loadExtension();
+    Object.assign(extension_settings.typing_indicator_plus, {
+        receiveSoundEnabled: true,
+        soundEnabled: false,
+        soundTheme: 'mechanical',
+        showEndStates: true,
+        masterMute: false,
+        muteWhenHidden: false,
+        quietHoursEnabled: false,
+    });
+});
+
+beforeEach(() => {
+    window.TypingIndicatorPlus.hide();
+    audio.sources.length = 0;
+});
+
+after(() => {
+    window.TypingIndicatorPlus.hide();
+    dom.window.close();
+});
+
+test('a greeting or /sendas message outside a generation plays no receive sound', async () => {
+    await receiveMessage(0);
+    assert.equal(audio.sources.length, 0);
+});
+
+test('a message after the generation ended plays no receive sound', async () => {
+    await eventSource.emit(event_types.GENERATION_AFTER_COMMANDS, 'normal');
+    await eventSource.emit(event_types.GENERATION_ENDED);
+    audio.sources.length = 0;
+
+    await receiveMessage(1);
+    assert.equal(audio.sources.length, 0);
+});
+
+test('the reply of a running generation plays the receive sound', async () => {
+    await eventSource.emit(event_types.GENERATION_AFTER_COMMANDS, 'normal');
+    await receiveMessage(2);
+    await eventSource.emit(event_types.GENERATION_ENDED);
+
+    assert.ok(audio.sources.length > 0);
+    assert.equal(window.TypingIndicatorPlus.getState().ended, null);
+});
+
+test('a dry run is not a generation', async () => {
+    await eventSource.emit(event_types.GENERATION_AFTER_COMMANDS, 'normal', {}, true);
+    await receiveMessage(3);
+    assert.equal(audio.sources.length, 0);
+});
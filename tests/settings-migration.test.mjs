@@ -0,0 +1,37 @@
+/**
+ * Settings saved by an earlier schema version keep their values after migrating.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { extension_settings } from './support/sillytavern/extensions.js';
+
+let settings;
+
+before(async () => {
+    // Saved by v4, before user typing sounds had their own volume
+    extension_settings.typing_indicator_plus = {
+        schemaVersion: 4,
+        soundVolume: 0.8,
+        style: 'discord',
+    };
+    await loadExtension();
+    settings = extension_settings.typing_indicator_plus;
+});
+
+after(() => dom.window.close());
+
+test('v4 settings are migrated to the current schema version', () => {
+    assert.equal(settings.schemaVersion, 5);
+});
+
+test('the user typing volume starts from the shared volume', () => {
+    assert.equal(settings.soundVolume, 0.8);
+    assert.equal(settings.userSoundVolume, 0.8);
+});
+
+test('other stored values are kept', () => {
+    assert.equal(settings.style, 'discord');
+});
@@ -0,0 +1,117 @@
+/**
+ * `/typing` changes settings the same way the drawer does, and the open drawer shows the new values.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { extension_settings } from './support/sillytavern/extensions.js';
+import { SlashCommandParser } from './support/sillytavern/SlashCommandParser.js';
+
+let settings;
+
+/**
+ * Run a /typing command
+ * @param {string} value Unnamed argument, e.g. "style discord"
+ * @returns {string} Command result
+ */
+function typing(value) {
+    return SlashCommandParser.commands.typing.callback({}, value);
+}
+
+/**
+ * The checkbox with this label in the settings drawer
+ * @param {string} label Label text
+ * @returns {HTMLInputElement}
+ */
+function drawerCheckbox(label) {
+    const wrapper = [...document.querySelectorAll('#typing_indicator_plus_settings label.checkbox_label')]
+        .find(element => element.textContent.trim() === label);
+    return wrapper.querySelector('input');
+}
+
+/**
+ * The first select with this label in the settings drawer (the global setting, not a profile override)
+ * @param {string} label Label text
+ * @returns {HTMLSelectElement}
+ */
+function drawerSelect(label) {
+    const row = [...document.querySelectorAll('#typing_indicator_plus_settings .typing-setting-row')]
+        .find(element => element.querySelector('label')?.textContent.trim() === label);
+    return row.querySelector('select');
+}
+
+before(async () => {
+    document.body.insertAdjacentHTML('beforeend', '<div id="extensions_settings"></div>');
+    await loadExtension();
+    settings = extension_settings.typing_indicator_plus;
+});
+
+after(() => {
+    typing('hide');
+    dom.window.close();
+});
+
+test('mute and unmute switch the master mute', () => {
+    settings.soundEnabled = true;
+
+    typing('mute');
+    assert.equal(settings.masterMute, true);
+    assert.equal(drawerCheckbox('Mute All Sounds').checked, true);
+
+    typing('unmute');
+    assert.equal(settings.masterMute, false);
+    assert.equal(drawerCheckbox('Mute All Sounds').checked, false);
+    assert.equal(settings.soundEnabled, true);
+});
+
+test('unmute lifts a master mute set in the drawer', () => {
+    const checkbox = drawerCheckbox('Mute All Sounds');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change'));
+    assert.equal(settings.masterMute, true);
+
+    typing('unmute');
+    assert.equal(settings.masterMute, false);
+});
+
+test('style, position, animation and sound update the open drawer', () => {
+    const cases = [
+        ['style discord', 'Visual Style', 'discord'],
+        ['position floating', 'Position', 'floating'],
+        ['animation wave', 'Animation Theme', 'wave'],
+        ['sound osu', 'Character Sound Theme', 'osu'],
+    ];
+    for (const [command, label, value] of cases) {
+        typing(command);
+        assert.equal(drawerSelect(label).value, value, `/typing ${command}`);
+    }
+});
+
+test('changing another drawer control keeps the value set by a command', () => {
+    typing('style minimal');
+    const checkbox = drawerCheckbox('Mute All Sounds');
+    checkbox.checked = !checkbox.checked;
+    checkbox.dispatchEvent(new Event('change'));
+
+    assert.equal(settings.style, 'minimal');
+    assert.equal(drawerSelect('Visual Style').value, 'minimal');
+});
+
+test('commands update the drawer in place, keeping open sections and scroll position', () => {
+    const drawer = document.getElementById('typing_indicator_plus_settings');
+    const select = drawerSelect('Position');
+    const sections = [...drawer.querySelectorAll('.inline-drawer-content')];
+    sections.forEach(section => section.style.display = 'block');
+    drawer.scrollTop = 120;
+
+    typing('position inline');
+    typing('mute');
+
+    assert.equal(document.getElementById('typing_indicator_plus_settings'), drawer);
+    assert.equal(drawerSelect('Position'), select);
+    assert.equal(select.value, 'inline');
+    assert.ok(sections.every(section => section.isConnected && section.style.display === 'block'));
+    assert.equal(drawer.scrollTop, 120);
+});
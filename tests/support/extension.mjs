@@ -0,0 +1,43 @@
+/**
+ * Load index.js the way SillyTavern would: inside a page with a chat, a send form and the globals it expects.
+ */
+
+import { register } from 'node:module';
+import { JSDOM } from 'jsdom';
+
+const PAGE = `<!DOCTYPE html>
+<html><head><title>SillyTavern</title></head><body>
+    <img id="avatar_load_preview" src="">
+    <div id="chat"></div>
+    <form id="send_form"><textarea id="send_textarea"></textarea></form>
+</body></html>`;
+
+export const dom = new JSDOM(PAGE, { url: 'http://localhost:8000/', pretendToBeVisual: true });
+
+const GLOBALS = ['window', 'document', 'navigator', 'Node', 'Element', 'HTMLElement', 'HTMLMediaElement',
+    'Event', 'KeyboardEvent', 'MutationObserver', 'Option', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'];
+for (const name of GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+}
+
+const noop = () => { };
+globalThis.toastr = { info: noop, success: noop, warning: noop, error: noop, clear: noop };
+
+register('./loader.mjs', import.meta.url);
+
+/**
+ * Import index.js once; its startup code hooks into the stubbed event source and the page.
+ * @returns {Promise<void>}
+ */
+export async function loadExtension() {
+    // Startup logs (missing sound files, no Web Audio) are expected here
+    const { log, warn, table } = console;
+    console.log = console.warn = console.table = noop;
+    try {
+        await import('../../index.js');
+        // Let the asynchronous sound setup settle before tests run
+        await new Promise(resolve => setTimeout(resolve, 50));
+    } finally {
+        Object.assign(console, { log, warn, table });
+    }
+}
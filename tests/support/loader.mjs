@@ -0,0 +1,13 @@
+/**
+ * Module resolve hook: SillyTavern imports made by index.js are served from ./sillytavern/
+ */
+
+const INDEX_URL = new URL('../../index.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (context.parentURL === INDEX_URL && specifier.startsWith('../')) {
+        const file = specifier.split('/').pop();
+        return { url: new URL(`./sillytavern/${file}`, import.meta.url).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,5 @@
+export class SlashCommand {
+    static fromProps(props) {
+        return Object.assign(new SlashCommand(), props);
+    }
+}
@@ -0,0 +1,13 @@
+export const ARGUMENT_TYPE = { STRING: 'string', NUMBER: 'number', BOOLEAN: 'bool' };
+
+export class SlashCommandArgument {
+    static fromProps(props) {
+        return Object.assign(new SlashCommandArgument(), props);
+    }
+}
+
+export class SlashCommandNamedArgument {
+    static fromProps(props) {
+        return Object.assign(new SlashCommandNamedArgument(), props);
+    }
+}
@@ -0,0 +1,6 @@
+export class SlashCommandEnumValue {
+    constructor(value, description) {
+        this.value = value;
+        this.description = description;
+    }
+}
@@ -0,0 +1,6 @@
+export const SlashCommandParser = {
+    commands: {},
+    addCommandObject(command) {
+        this.commands[command.name] = command;
+    },
+};
@@ -0,0 +1 @@
+export const extension_settings = {};
@@ -0,0 +1,12 @@
+export const group_activation_strategy = { NATURAL: 0, LIST: 1 };
+export let groups = [];
+export let selected_group = null;
+
+/**
+ * @param {string|null} id Selected group id
+ * @param {object[]} [list] All groups
+ */
+export function setGroup(id, list = groups) {
+    selected_group = id;
+    groups = list;
+}
@@ -0,0 +1,3 @@
+export function t(strings, ...values) {
+    return strings.reduce((result, string, i) => result + string + (i < values.length ? values[i] : ''), '');
+}
@@ -0,0 +1,4 @@
+import createDOMPurify from 'dompurify';
+
+// The DOM globals are installed before index.js (and with it this module) is imported
+export const DOMPurify = createDOMPurify(globalThis.window);
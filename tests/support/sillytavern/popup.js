@@ -0,0 +1,5 @@
+export const POPUP_TYPE = { TEXT: 1, CONFIRM: 2, INPUT: 3 };
+
+export async function callGenericPopup() {
+    return false;
+}
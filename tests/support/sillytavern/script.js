@@ -0,0 +1,72 @@
+/**
+ * Stand-in for SillyTavern's script.js with just what index.js imports.
+ * Names and the avatar are live bindings, so tests can change them between renders.
+ */
+
+export let name1 = 'User';
+export let name2 = 'Character';
+export let user_avatar = '';
+export let this_chid = undefined;
+export const chat = [];
+export const characters = [];
+
+/**
+ * @param {{user?: string, char?: string, userAvatar?: string, chid?: number}} values
+ */
+export function setContext({ user = name1, char = name2, userAvatar = user_avatar, chid = this_chid } = {}) {
+    name1 = user;
+    name2 = char;
+    user_avatar = userAvatar;
+    this_chid = chid;
+}
+
+export const event_types = {
+    CHARACTER_MESSAGE_RENDERED: 'character_message_rendered',
+    CHAT_CHANGED: 'chat_id_changed',
+    GENERATION_AFTER_COMMANDS: 'GENERATION_AFTER_COMMANDS',
+    GENERATION_ENDED: 'generation_ended',
+    GENERATION_STOPPED: 'generation_stopped',
+    GROUP_MEMBER_DRAFTED: 'group_member_drafted',
+    GROUP_WRAPPER_FINISHED: 'group_wrapper_finished',
+    GROUP_WRAPPER_STARTED: 'group_wrapper_started',
+    MESSAGE_RECEIVED: 'message_received',
+    MESSAGE_SENT: 'message_sent',
+    STREAM_TOKEN_RECEIVED: 'stream_token_received',
+};
+
+export const eventSource = {
+    listeners: new Map(),
+    on(event, listener) {
+        if (!this.listeners.has(event)) this.listeners.set(event, []);
+        this.listeners.get(event).push(listener);
+    },
+    async emit(event, ...args) {
+        for (const listener of this.listeners.get(event) ?? []) {
+            await listener(...args);
+        }
+    },
+};
+
+export function getThumbnailUrl(type, file) {
+    return `/thumbnail?type=${type}&file=${encodeURIComponent(file)}`;
+}
+
+export function saveSettingsDebounced() { }
+
+export function stopGeneration() { }
+
+let randomRolls = 0;
+
+/**
+ * Macro substitution as far as the indicator relies on it: {{user}}, {{char}}, {{random::a::b}} and extra macros.
+ * Like the real one, it never looks at the values it inserts. {{random}} picks the next option on every call.
+ */
+export function substituteParams(content, _name1, _name2, _original, _group, _replaceCharacterCard = true, additionalMacro = {}) {
+    const macros = { user: _name1 ?? name1, char: _name2 ?? name2, ...additionalMacro };
+    return String(content)
+        .replace(/\{\{random::(.*?)\}\}/g, (_match, options) => {
+            const list = options.split('::');
+            return list[randomRolls++ % list.length];
+        })
+        .replace(/\{\{(\w+)\}\}/g, (match, key) => key in macros ? String(macros[key]) : match);
+}
@@ -0,0 +1,88 @@
+/**
+ * Silent stand-ins for the Web Audio classes index.js uses. Sources count as playing from start() until stop().
+ */
+
+export const audio = {
+    contextsCreated: 0,
+    soundsDecoded: 0,
+    /** @type {FakeSource[]} */
+    sources: [],
+};
+
+class FakeParam {
+    value = 0;
+    setValueAtTime() { }
+    linearRampToValueAtTime() { }
+    exponentialRampToValueAtTime() { }
+}
+
+class FakeNode {
+    connect() { }
+    disconnect() { }
+}
+
+/** Oscillator or buffer source */
+class FakeSource extends FakeNode {
+    frequency = new FakeParam();
+    playbackRate = new FakeParam();
+    playing = false;
+    #listeners = [];
+    addEventListener(type, listener) {
+        this.#listeners.push(listener);
+    }
+    start() {
+        this.playing = true;
+        audio.sources.push(this);
+    }
+    stop(when) {
+        // A scheduled stop ends the voice later; an immediate one cuts it now
+        if (when !== undefined) return;
+        this.playing = false;
+        this.#listeners.splice(0).forEach(listener => listener());
+    }
+}
+
+class FakeAudioContext {
+    state = 'running';
+    currentTime = 0;
+    sampleRate = 48000;
+    destination = new FakeNode();
+    constructor() {
+        audio.contextsCreated++;
+    }
+    resume() {
+        return Promise.resolve();
+    }
+    createGain() {
+        return Object.assign(new FakeNode(), { gain: new FakeParam() });
+    }
+    createBiquadFilter() {
+        return Object.assign(new FakeNode(), { frequency: new FakeParam() });
+    }
+    createOscillator() {
+        return new FakeSource();
+    }
+    createBufferSource() {
+        return new FakeSource();
+    }
+    createBuffer(channels, length) {
+        return { getChannelData: () => new Float32Array(length) };
+    }
+}
+
+/** Decodes without producing sound, like the browser's offline context */
+class FakeOfflineAudioContext {
+    async decodeAudioData() {
+        audio.soundsDecoded++;
+        return { duration: 0.1 };
+    }
+}
+
+/**
+ * Install the fakes on the page, before the extension loads
+ * @param {Window} window Page window
+ */
+export function installWebAudio(window) {
+    window.AudioContext = FakeAudioContext;
+    window.OfflineAudioContext = FakeOfflineAudioContext;
+}
@@ -0,0 +1,55 @@
+/**
+ * Stored or imported synth themes are clamped to the editor's ranges before they can be played.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dom, loadExtension } from './support/extension.mjs';
+import { extension_settings } from './support/sillytavern/extensions.js';
+
+const LAYER = { type: 'sine', startFreq: 800, endFreq: 400, attack: 0, decay: 40, gain: 0.5, jitter: 50 };
+
+let themes;
+
+before(async () => {
+    extension_settings.typing_indicator_plus = {
+        synthThemes: [
+            {
+                id: 'synth_huge',
+                name: 'Huge',
+                layers: [
+                    { type: 'noise', startFreq: 5, endFreq: 1e9, attack: -10, decay: 1e9, gain: 50, jitter: 1e6 },
+                    { ...LAYER, decay: 'long' },
+                    { ...LAYER, type: 'organ' },
+                ],
+            },
+            { id: 'synth_many', name: 'Many', layers: Array.from({ length: 1000 }, () => ({ ...LAYER })) },
+            { id: 'synth_empty', name: 'Empty', layers: [{ ...LAYER, gain: NaN }] },
+            { id: 'synth_ok', name: 'Ok', layers: [{ ...LAYER }] },
+        ],
+    };
+    await loadExtension();
+    themes = extension_settings.typing_indicator_plus.synthThemes;
+});
+
+after(() => dom.window.close());
+
+test('every layer field is clamped to the editor range', () => {
+    const [layer] = themes.find(theme => theme.id === 'synth_huge').layers;
+    assert.deepEqual(layer, { type: 'noise', startFreq: 20, endFreq: 20000, attack: 0, decay: 2000, gain: 2, jitter: 5000 });
+});
+
+test('malformed layers are dropped, and a theme without valid layers with them', () => {
+    assert.equal(themes.find(theme => theme.id === 'synth_huge').layers.length, 1);
+    assert.equal(themes.some(theme => theme.id === 'synth_empty'), false);
+});
+
+test('the number of layers is capped', () => {
+    const layers = themes.find(theme => theme.id === 'synth_many').layers;
+    assert.ok(layers.length > 1 && layers.length <= 8, `${layers.length} layers kept`);
+});
+
+test('valid themes are kept unchanged', () => {
+    assert.deepEqual(themes.find(theme => theme.id === 'synth_ok').layers, [LAYER]);
+});